@@ -0,0 +1,665 @@
+#!/usr/bin/env node
+/**
+ * polymer-proof
+ * =============
+ *
+ * Command-line tool for requesting, checking and waiting on Polymer proofs.
+ *
+ * Usage:
+ * ```bash
+ * polymer-proof request --rpc <url> --tx <hash> [--event <sig> | --log-index <n>] [--wait]
+ * polymer-proof status <jobId>
+ * polymer-proof wait <jobId> [--interval <ms>] [--max-attempts <n>] [--wait-until <ms>]
+ * polymer-proof batch <file>
+ * ```
+ *
+ * The API key is read from --api-key, or from POLYMER_API_KEY in the
+ * environment or a .env file. Pass --json for machine-readable output.
+ */
+
+const { parseArgs } = require("util");
+const fs = require("fs");
+const { ethers } = require("ethers");
+const {
+  PolymerClient,
+  PolymerHttpError,
+  PolymerNetworkError,
+  PolymerRpcError,
+  PolymerRequestTimeoutError,
+  PolymerAbortError,
+  PolymerProofFailedError,
+  PolymerPollingTimeoutError,
+  PolymerLogNotFoundError,
+  PolymerAmbiguousLogError,
+  POLYMER_NETWORKS,
+} = require("../src/polymer-ethers-plugin");
+const {
+  printHeader,
+  printSuccess,
+  printInfo,
+  printError,
+  printJson,
+  colors,
+} = require("./lib/cli");
+
+require("dotenv").config();
+
+/**
+ * Exit codes, one per error type, so shell pipelines can branch on them
+ */
+const EXIT_CODES = {
+  success: 0,
+  error: 1,
+  usage: 2,
+  http: 3,
+  rpc: 4,
+  proofFailed: 5,
+  timeout: 6,
+  logNotFound: 7,
+  batchFailures: 8,
+  aborted: 130,
+};
+
+/**
+ * Error codes of failed connections to the API or a source chain RPC
+ */
+const NETWORK_ERROR_CODES = [
+  "ECONNREFUSED",
+  "ECONNRESET",
+  "ENOTFOUND",
+  "EAI_AGAIN",
+  "ETIMEDOUT",
+  "NETWORK_ERROR",
+  "SERVER_ERROR",
+];
+
+const USAGE = `Usage: polymer-proof <command> [options]
+
+Commands:
+  request --rpc <url> --tx <hash> [--event <sig> | --log-index <n>] [--wait]
+                         Request a proof for a log of a transaction
+  status <jobId>         Show the status of a proof job
+  wait <jobId>           Wait for a proof job to complete
+  batch <file>           Request and wait for every proof listed in a JSON file
+
+Options:
+  --api-key <key>        Polymer API key (default: $POLYMER_API_KEY)
+  --api-url <url>        Polymer API URL (default: $POLYMER_API_URL)
+  --network <name>       testnet or mainnet, when no API URL is given
+                         (default: $POLYMER_NETWORK or testnet)
+  --interval <ms>        Polling interval
+  --max-attempts <n>     Maximum polling attempts
+  --wait-until <ms>      Poll until this many ms have passed instead of counting attempts
+  --concurrency <n>      Maximum concurrent requests for batch
+  --json                 Print machine-readable JSON
+  --debug                Enable debug logging
+  -h, --help             Show this help
+
+Batch files contain a JSON array of either
+  { "srcChainId", "srcBlockNumber", "txIndex", "logIndex" } or
+  { "rpc", "tx", "event" | "logIndex" } entries.
+
+Exit codes:
+  0 success, 1 unexpected error, 2 usage error, 3 HTTP or network error,
+  4 JSON-RPC error, 5 proof generation failed, 6 timed out,
+  7 log not found, 8 some batch items failed, 130 interrupted`;
+
+/**
+ * Error raised for invalid command-line usage
+ */
+class UsageError extends Error {}
+
+/**
+ * Map an error to its exit code
+ *
+ * @param {Error} error - The error
+ * @returns {number} Exit code
+ */
+function getExitCode(error) {
+  if (error instanceof UsageError) {
+    return EXIT_CODES.usage;
+  }
+  if (error instanceof PolymerAbortError) {
+    return EXIT_CODES.aborted;
+  }
+  if (
+    error instanceof PolymerHttpError ||
+    error instanceof PolymerNetworkError ||
+    NETWORK_ERROR_CODES.includes(error.code)
+  ) {
+    return EXIT_CODES.http;
+  }
+  if (error instanceof PolymerRpcError) {
+    return EXIT_CODES.rpc;
+  }
+  if (error instanceof PolymerProofFailedError) {
+    return EXIT_CODES.proofFailed;
+  }
+  if (
+    error instanceof PolymerPollingTimeoutError ||
+    error instanceof PolymerRequestTimeoutError
+  ) {
+    return EXIT_CODES.timeout;
+  }
+  if (
+    error instanceof PolymerLogNotFoundError ||
+    error instanceof PolymerAmbiguousLogError
+  ) {
+    return EXIT_CODES.logNotFound;
+  }
+  return EXIT_CODES.error;
+}
+
+/**
+ * Serialize a value to JSON, writing bigints as decimal strings
+ *
+ * @param {*} value - Value to serialize
+ * @returns {string} JSON text
+ */
+function toJson(value) {
+  return JSON.stringify(
+    value,
+    (key, v) => (typeof v === "bigint" ? v.toString() : v),
+    2
+  );
+}
+
+/**
+ * Describe an error as plain data for --json output
+ *
+ * @param {Error} error - The error
+ * @returns {Object} `{ name, message, ...details }`
+ */
+function serializeError(error) {
+  const { name, message } = error;
+  const details = {};
+  for (const key of [
+    "status",
+    "code",
+    "data",
+    "jobId",
+    "failureReason",
+    "attempts",
+    "candidates",
+  ]) {
+    if (error[key] !== undefined) {
+      details[key] = error[key];
+    }
+  }
+  return { name, message, ...details };
+}
+
+/**
+ * Print a proof job status or result in human-readable form
+ *
+ * @param {Object} result - A `log_queryProof` result
+ */
+function printResult(result) {
+  printSuccess(`Status: ${colors.bright}${result.status}${colors.reset}`);
+
+  const displayResult = { ...result };
+  if (
+    typeof displayResult.proof === "string" &&
+    displayResult.proof.length > 100
+  ) {
+    displayResult.proof =
+      displayResult.proof.substring(0, 100) + "... (truncated)";
+  }
+  printJson(displayResult, 2000);
+}
+
+/**
+ * Parse an integer option
+ *
+ * @param {string} [value] - Raw option value
+ * @param {string} name - Option name for error messages
+ * @param {number} [min] - Smallest accepted value (default: 0)
+ * @returns {number|undefined} The parsed number
+ */
+function parseInteger(value, name, min = 0) {
+  if (value === undefined) {
+    return undefined;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min) {
+    throw new UsageError(
+      min === 0
+        ? `--${name} must be a non-negative integer`
+        : `--${name} must be an integer of at least ${min}`
+    );
+  }
+  return number;
+}
+
+/**
+ * Parse a job ID argument, keeping numeric IDs numeric as the API returns them
+ *
+ * @param {string} [value] - Raw job ID
+ * @param {string} command - Command name for error messages
+ * @returns {number|string} The job ID
+ */
+function parseJobId(value, command) {
+  if (!value) {
+    throw new UsageError(`${command} requires a job ID`);
+  }
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+/**
+ * Collect polling options shared by all commands that wait
+ *
+ * @param {Object} values - Parsed options
+ * @param {AbortSignal} signal - Signal aborted on Ctrl+C
+ * @returns {Object} Options for PolymerClient#wait
+ */
+function getWaitOptions(values, signal) {
+  const waitUntil = parseInteger(values["wait-until"], "wait-until");
+  return {
+    interval: parseInteger(values.interval, "interval"),
+    maxAttempts: parseInteger(values["max-attempts"], "max-attempts"),
+    pollingStrategy: waitUntil ? "deadline" : undefined,
+    waitUntil,
+    signal,
+  };
+}
+
+/**
+ * Connect to a source chain RPC
+ *
+ * The chain ID is read with a single request and the provider is created
+ * with it as a static network. Left to detect the network itself, a
+ * provider keeps retrying an unreachable RPC in the background, logging
+ * to stdout and keeping the process alive.
+ *
+ * @param {string} rpc - RPC URL
+ * @returns {Promise<Object>} The ethers.js JsonRpcProvider
+ */
+async function connectProvider(rpc) {
+  const request = new ethers.FetchRequest(rpc);
+  request.body = { jsonrpc: "2.0", id: 1, method: "eth_chainId", params: [] };
+
+  const response = await request.send();
+  response.assertOk();
+
+  const { result, error } = response.bodyJson;
+  if (!result) {
+    throw new Error(
+      `Cannot read the chain ID from ${rpc}: ${
+        error ? error.message : "empty response"
+      }`
+    );
+  }
+
+  return new ethers.JsonRpcProvider(rpc, ethers.Network.from(BigInt(result)), {
+    staticNetwork: true,
+  });
+}
+
+/**
+ * Create a pool that connects to each RPC URL once
+ *
+ * @returns {Object} `{ get(rpc), destroy() }`
+ */
+function createProviderPool() {
+  const providers = new Map();
+
+  return {
+    get(rpc) {
+      if (!providers.has(rpc)) {
+        providers.set(rpc, connectProvider(rpc));
+      }
+      return providers.get(rpc);
+    },
+    async destroy() {
+      for (const pending of providers.values()) {
+        const provider = await pending.catch(() => null);
+        if (provider) {
+          provider.destroy();
+        }
+      }
+      providers.clear();
+    },
+  };
+}
+
+/**
+ * Fetch a transaction receipt from a source chain RPC
+ *
+ * @param {Object} providers - Provider pool, see createProviderPool
+ * @param {string} rpc - RPC URL
+ * @param {string} txHash - Transaction hash
+ * @returns {Promise<Object>} The ethers.js TransactionReceipt
+ */
+async function fetchReceipt(providers, rpc, txHash) {
+  if (!rpc || !txHash) {
+    throw new UsageError("--rpc and --tx are required");
+  }
+
+  const provider = await providers.get(rpc);
+  const receipt = await provider.getTransactionReceipt(txHash);
+  if (!receipt) {
+    throw new PolymerLogNotFoundError(`Transaction receipt not found`, {
+      transactionHash: txHash,
+    });
+  }
+  return receipt;
+}
+
+/**
+ * Build the log selector for a request
+ *
+ * @param {Object} item - `{ event, logIndex }` as strings or numbers
+ * @returns {Object} `{ eventSignature }` or `{ logIndex }`
+ */
+function getLogSelector(item) {
+  if (item.event && item.logIndex !== undefined) {
+    throw new UsageError("Use either --event or --log-index, not both");
+  }
+  if (item.event) {
+    return { eventSignature: item.event };
+  }
+  if (item.logIndex === undefined) {
+    throw new UsageError("--event or --log-index is required");
+  }
+  return { logIndex: parseInteger(String(item.logIndex), "log-index") };
+}
+
+/**
+ * polymer-proof request
+ */
+async function requestCommand(client, values, signal, output, providers) {
+  const selector = getLogSelector({
+    event: values.event,
+    logIndex: values["log-index"],
+  });
+  const receipt = await fetchReceipt(providers, values.rpc, values.tx);
+
+  if (!output.json) {
+    printInfo(
+      `Requesting proof for ${colors.dim}${receipt.hash}${colors.reset}...`
+    );
+  }
+
+  const { jobId } = await client.proveReceipt(receipt, {
+    ...selector,
+    returnJob: true,
+    signal,
+  });
+
+  if (!values.wait) {
+    output.done({ jobId }, () =>
+      printSuccess(
+        `Proof job created with ID: ${colors.bright}${jobId}${colors.reset}`
+      )
+    );
+    return EXIT_CODES.success;
+  }
+
+  if (!output.json) {
+    printSuccess(
+      `Proof job created with ID: ${colors.bright}${jobId}${colors.reset}`
+    );
+    printInfo("Waiting for proof result...");
+  }
+
+  const result = await client.wait(jobId, getWaitOptions(values, signal));
+  output.done({ jobId, ...result }, () => printResult(result));
+  return EXIT_CODES.success;
+}
+
+/**
+ * polymer-proof status <jobId>
+ */
+async function statusCommand(client, values, positionals, signal, output) {
+  const jobId = parseJobId(positionals[0], "status");
+
+  const result = await client.queryProofStatus(jobId, { signal });
+  output.done({ jobId, ...result }, () => printResult(result));
+  return EXIT_CODES.success;
+}
+
+/**
+ * polymer-proof wait <jobId>
+ */
+async function waitCommand(client, values, positionals, signal, output) {
+  const jobId = parseJobId(positionals[0], "wait");
+
+  if (!output.json) {
+    printInfo(
+      `Waiting for proof job ${colors.bright}${jobId}${colors.reset}...`
+    );
+  }
+
+  const result = await client.wait(jobId, getWaitOptions(values, signal));
+  output.done({ jobId, ...result }, () => printResult(result));
+  return EXIT_CODES.success;
+}
+
+/**
+ * polymer-proof batch <file>
+ */
+async function batchCommand(
+  client,
+  values,
+  positionals,
+  signal,
+  output,
+  providers
+) {
+  const file = positionals[0];
+  if (!file) {
+    throw new UsageError("batch requires a file");
+  }
+
+  let items;
+  try {
+    items = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new UsageError(`Cannot read batch file ${file}: ${error.message}`);
+  }
+  if (!Array.isArray(items)) {
+    throw new UsageError("Batch file must contain a JSON array");
+  }
+  const concurrency = parseInteger(values.concurrency, "concurrency", 1);
+
+  // Resolve transaction entries into source log coordinates first. An
+  // entry that cannot be resolved fails on its own, like a failed proof.
+  const resolved = await Promise.all(
+    items.map(async (item) => {
+      if (!item.tx) {
+        return { params: item, error: null };
+      }
+      try {
+        const receipt = await fetchReceipt(providers, item.rpc, item.tx);
+        const source = await client.getReceiptSource(receipt);
+        const logIndex = await client.selectReceiptLog(
+          receipt,
+          getLogSelector(item)
+        );
+        return { params: { ...source, logIndex }, error: null };
+      } catch (error) {
+        return { params: item, error };
+      }
+    })
+  );
+
+  const proofs = await client.requestProofs(
+    resolved.filter((entry) => !entry.error).map((entry) => entry.params),
+    {
+      ...getWaitOptions(values, signal),
+      concurrency,
+    }
+  );
+  const results = resolved.map((entry) =>
+    entry.error
+      ? { params: entry.params, jobId: null, result: null, error: entry.error }
+      : proofs.shift()
+  );
+  const failures = results.filter((entry) => entry.error);
+
+  output.done(
+    results.map(({ params, jobId, result, error }) => ({
+      params,
+      jobId,
+      result,
+      error: error ? serializeError(error) : null,
+    })),
+    () => {
+      results.forEach(({ params, jobId, error }, i) => {
+        const label = params.tx
+          ? `#${i} ${params.tx}`
+          : `#${i} ${params.srcChainId}:${params.srcBlockNumber}:${params.txIndex}:${params.logIndex}`;
+        if (error) {
+          printError(`${label} failed: ${error.message}`);
+        } else {
+          printSuccess(`${label} complete (job ${jobId})`);
+        }
+      });
+      printInfo(
+        `${results.length - failures.length}/${results.length} proofs complete`
+      );
+    }
+  );
+
+  return failures.length > 0 ? EXIT_CODES.batchFailures : EXIT_CODES.success;
+}
+
+const COMMANDS = {
+  request: requestCommand,
+  status: statusCommand,
+  wait: waitCommand,
+  batch: batchCommand,
+};
+
+/**
+ * Run the CLI
+ *
+ * @param {string[]} argv - Command-line arguments, without node and script
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        rpc: { type: "string" },
+        tx: { type: "string" },
+        event: { type: "string" },
+        "log-index": { type: "string" },
+        wait: { type: "boolean" },
+        interval: { type: "string" },
+        "max-attempts": { type: "string" },
+        "wait-until": { type: "string" },
+        concurrency: { type: "string" },
+        "api-key": { type: "string" },
+        "api-url": { type: "string" },
+        network: { type: "string" },
+        json: { type: "boolean" },
+        debug: { type: "boolean" },
+        help: { type: "boolean", short: "h" },
+      },
+    });
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    return EXIT_CODES.usage;
+  }
+
+  const { values, positionals } = parsed;
+  const [commandName, ...args] = positionals;
+
+  if (values.help || !commandName) {
+    console.log(USAGE);
+    return values.help ? EXIT_CODES.success : EXIT_CODES.usage;
+  }
+
+  const output = {
+    json: Boolean(values.json),
+    done: (data, print) => {
+      if (values.json) {
+        console.log(toJson(data));
+      } else {
+        print();
+      }
+    },
+  };
+
+  const controller = new AbortController();
+  process.once("SIGINT", () => controller.abort(new Error("Interrupted")));
+  const providers = createProviderPool();
+
+  try {
+    const command = COMMANDS[commandName];
+    if (!command) {
+      throw new UsageError(`Unknown command: ${commandName}`);
+    }
+
+    const apiKey = values["api-key"] || process.env.POLYMER_API_KEY;
+    if (!apiKey) {
+      throw new UsageError(
+        "Polymer API key is required (--api-key or POLYMER_API_KEY)"
+      );
+    }
+
+    const network = values.network || process.env.POLYMER_NETWORK || null;
+    if (network && !POLYMER_NETWORKS[network]) {
+      throw new UsageError(
+        `Unknown network "${network}", expected one of: ${Object.keys(
+          POLYMER_NETWORKS
+        ).join(", ")}`
+      );
+    }
+
+    const apiUrl = values["api-url"] || process.env.POLYMER_API_URL;
+    const client = new PolymerClient({
+      apiKey,
+      ...(apiUrl && { apiUrl }),
+      network,
+      debug: Boolean(values.debug),
+      ethers,
+    });
+
+    if (commandName === "request") {
+      return await command(
+        client,
+        values,
+        controller.signal,
+        output,
+        providers
+      );
+    }
+    return await command(
+      client,
+      values,
+      args,
+      controller.signal,
+      output,
+      providers
+    );
+  } catch (error) {
+    if (values.json) {
+      console.error(toJson({ error: serializeError(error) }));
+    } else {
+      if (!(error instanceof UsageError)) {
+        printHeader("ERROR");
+      }
+      printError(error.message);
+      if (error instanceof UsageError) {
+        console.error(USAGE);
+      }
+    }
+    return getExitCode(error);
+  } finally {
+    await providers.destroy();
+  }
+}
+
+main(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+  // Pending timers or sockets must not keep an interrupted run alive
+  if (code === EXIT_CODES.aborted) {
+    process.exit(code);
+  }
+});
@@ -0,0 +1,111 @@
+/**
+ * Offline example against the bundled mock Polymer API
+ * We script a few job lifecycles and run the plugin against them,
+ * both over HTTP and with the in-process transport. No API key needed.
+ */
+
+// Load ethers
+const { ethers } = require("ethers");
+
+// Load the plugin and the mock API
+const {
+  addPolymerToEthers,
+  PolymerProofFailedError,
+  decodeProof,
+} = require("../src/polymer-ethers-plugin");
+const { MockPolymerServer } = require("../src/mock-server");
+
+// Load CLI helpers
+const {
+  printHeader,
+  printSuccess,
+  printInfo,
+  printError,
+  printJson,
+  colors,
+} = require("../bin/lib/cli");
+
+const SOURCE = {
+  srcChainId: 11155420, // Optimism Sepolia
+  srcBlockNumber: 123456,
+  txIndex: 0,
+  logIndex: 0,
+};
+
+async function main() {
+  const mock = new MockPolymerServer({ apiKey: "test" });
+
+  try {
+    printHeader("MOCK POLYMER API");
+
+    const apiUrl = await mock.listen();
+    printSuccess(
+      `Mock API listening on ${colors.bright}${apiUrl}${colors.reset}`
+    );
+
+    addPolymerToEthers(ethers, {
+      apiKey: "test",
+      apiUrl,
+      interval: 100,
+      retry: { baseDelay: 100 },
+    });
+
+    ethers.polymer.on("status", ({ jobId, attempt, result }) =>
+      printInfo(`Job ${jobId} attempt ${attempt}: ${result.status}`)
+    );
+    ethers.polymer.on("retry", ({ method, attempt, error }) =>
+      printInfo(`Retrying ${method} (retry ${attempt}): ${error.message}`)
+    );
+
+    printHeader("PENDING, THEN COMPLETE");
+
+    mock.nextJob({ pending: 2 });
+    // The API is rate limiting us once along the way
+    mock.failNext("log_queryProof", { httpStatus: 429, retryAfter: 0 });
+
+    const jobId = await ethers.polymer.requestProof(SOURCE);
+    const proofResult = await ethers.polymer.wait(jobId);
+    printSuccess(
+      `Status: ${colors.bright}${proofResult.status}${colors.reset}`
+    );
+    printJson(decodeProof(proofResult), 1000);
+
+    printHeader("PROOF GENERATION FAILS");
+
+    mock.nextJob({ pending: 1, error: "Log not found" });
+
+    try {
+      await ethers.polymer.wait(await ethers.polymer.requestProof(SOURCE));
+    } catch (error) {
+      if (!(error instanceof PolymerProofFailedError)) {
+        throw error;
+      }
+      printSuccess(`Job ${error.jobId} failed: ${error.failureReason}`);
+    }
+
+    printHeader("IN-PROCESS TRANSPORT");
+
+    // Skip HTTP entirely, e.g. in unit tests
+    addPolymerToEthers(ethers, {
+      apiKey: "test",
+      transport: mock,
+      interval: 10,
+    });
+
+    mock.nextJob({ pending: 3 });
+    const result = await ethers.polymer.wait(
+      await ethers.polymer.requestProof(SOURCE)
+    );
+    printSuccess(`Status: ${colors.bright}${result.status}${colors.reset}`);
+    printInfo(`The mock API received ${mock.requests.length} requests`);
+  } catch (error) {
+    printHeader("ERROR");
+    printError(error.message);
+    console.error(error);
+  } finally {
+    await mock.close();
+  }
+}
+
+// Run the main function
+main().catch(console.error);
@@ -23,7 +23,7 @@ const {
   printJson,
   banner,
   colors,
-} = require("./lib/cli");
+} = require("../bin/lib/cli");
 
 // Configuration
 const OPTIMISM_SEPOLIA_RPC = "https://sepolia.optimism.io";
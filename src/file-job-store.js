@@ -0,0 +1,107 @@
+/**
+ * Polymer Ethers.js Plugin - JSON file job store
+ * ==============================================
+ *
+ * Persists proof jobs to a JSON file so they survive process restarts.
+ * Node.js only; in the browser use MemoryJobStore or KeyValueJobStore.
+ *
+ * Usage:
+ * ```javascript
+ * const { addPolymerToEthers } = require("polymer-ethers");
+ * const { FileJobStore } = require("polymer-ethers/src/file-job-store");
+ *
+ * addPolymerToEthers(ethers, {
+ *   apiKey: process.env.POLYMER_API_KEY,
+ *   jobStore: new FileJobStore("./polymer-jobs.json"),
+ * });
+ *
+ * // On startup, finish the jobs a previous run left behind
+ * await ethers.polymer.resumePending();
+ * ```
+ */
+
+const fs = require("fs");
+
+/**
+ * Job store that keeps all records in a single JSON file
+ *
+ * Records are cached in memory after the first read. Writes are serialized
+ * and go through a temporary file that is renamed into place, so a crash
+ * never leaves a half-written file behind.
+ */
+class FileJobStore {
+  /**
+   * @param {string} filePath - Path of the JSON file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.loading = null;
+    this.writing = Promise.resolve();
+  }
+
+  async get(key) {
+    const records = await this.load();
+    return records[key];
+  }
+
+  async set(key, record) {
+    const records = await this.load();
+    records[key] = record;
+    return this.save(records);
+  }
+
+  async delete(key) {
+    const records = await this.load();
+    delete records[key];
+    return this.save(records);
+  }
+
+  async list() {
+    const records = await this.load();
+    return Object.values(records);
+  }
+
+  /**
+   * Read the file once, treating a missing file as an empty store
+   *
+   * @returns {Promise<Object>} Records by key
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = fs.promises
+        .readFile(this.filePath, "utf8")
+        .then((contents) => JSON.parse(contents))
+        .catch((error) => {
+          if (error.code === "ENOENT") {
+            return {};
+          }
+          this.loading = null;
+          throw error;
+        });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Write the records after any write already in progress
+   *
+   * @param {Object} records - Records by key
+   * @returns {Promise<void>}
+   */
+  save(records) {
+    const tmpPath = `${this.filePath}.tmp`;
+    this.writing = this.writing
+      .catch(() => {})
+      .then(async () => {
+        await fs.promises.writeFile(
+          tmpPath,
+          JSON.stringify(records, null, 2),
+          "utf8"
+        );
+        await fs.promises.rename(tmpPath, this.filePath);
+      });
+    return this.writing;
+  }
+}
+
+module.exports = { FileJobStore };
@@ -0,0 +1,517 @@
+/**
+ * Polymer Ethers.js Plugin - Mock Polymer proof API
+ * =================================================
+ *
+ * A scriptable stand-in for the Polymer Prove API that implements
+ * `log_requestProof` and `log_queryProof`, so code using this plugin can be
+ * exercised offline and deterministically. Use it over HTTP, or in-process
+ * by passing it as the client's `transport`. Node.js only.
+ *
+ * Usage:
+ * ```javascript
+ * const { PolymerClient } = require("polymer-ethers");
+ * const { MockPolymerServer } = require("polymer-ethers/src/mock-server");
+ *
+ * const mock = new MockPolymerServer();
+ * mock.nextJob({ pending: 2 }); // pending twice, then complete
+ * mock.nextJob({ pending: 1, error: "Log not found" });
+ * mock.failNext("log_queryProof", { httpStatus: 429, retryAfter: 1 });
+ *
+ * // In-process
+ * const client = new PolymerClient({ apiKey: "test", transport: mock });
+ *
+ * // In-process through the HTTP transport, e.g. to test middleware
+ * const client = new PolymerClient({ apiKey: "test", fetch: mock.fetch });
+ *
+ * // Or over HTTP
+ * const apiUrl = await mock.listen();
+ * const client = new PolymerClient({ apiKey: "test", apiUrl });
+ * // ...
+ * await mock.close();
+ * ```
+ */
+
+const http = require("http");
+const {
+  PolymerHttpError,
+  PolymerRpcError,
+  PolymerAbortError,
+} = require("./polymer-ethers-plugin");
+
+/**
+ * Scriptable mock of the Polymer Prove API
+ *
+ * Every `log_requestProof` call creates a job that follows the next
+ * lifecycle queued with `nextJob`, or `defaultJob` when none is queued.
+ * A lifecycle is a list of steps, one per `log_queryProof` call; the last
+ * step repeats forever. A step is one of:
+ * - `{ status, ...fields }` - a query result, e.g. `{ status: "pending" }`
+ * - `{ httpStatus, body, retryAfter }` - an HTTP error response
+ * - `{ rpcError: { code, message, data } }` - a JSON-RPC error
+ *
+ * Completed results get a proof encoding the job's source coordinates and
+ * the lifecycle's `event`, so `decodeProof` and `verify` work against it.
+ */
+class MockPolymerServer {
+  /**
+   * @param {Object} [options] - Server options
+   * @param {string} [options.apiKey] - If set, HTTP requests without this bearer token get a 401
+   * @param {Object} [options.defaultJob] - Lifecycle for jobs without a queued one (default: complete immediately)
+   */
+  constructor(options = {}) {
+    this.apiKey = options.apiKey || null;
+    this.defaultJob = options.defaultJob || {};
+    this.server = null;
+    this.url = null;
+    this.fetch = this.fetch.bind(this);
+    this.reset();
+  }
+
+  /**
+   * Forget all jobs, queued lifecycles, faults and recorded requests
+   *
+   * @returns {MockPolymerServer} This server, for chaining
+   */
+  reset() {
+    this.nextJobId = 1;
+    // Jobs by ID: { id, params, steps, queries, proof }
+    this.jobs = new Map();
+    this.lifecycles = [];
+    this.faults = [];
+    // Every JSON-RPC request received: { method, params }
+    this.requests = [];
+    return this;
+  }
+
+  /**
+   * Queue the lifecycle of the next job created by `log_requestProof`
+   *
+   * @param {Object} [lifecycle] - Job lifecycle
+   * @param {number} [lifecycle.pending] - Number of queries answered with `pending` first
+   * @param {string} [lifecycle.error] - End with status `error` and this failure reason instead of `complete`
+   * @param {string} [lifecycle.proof] - Proof to return on completion
+   * @param {Object} [lifecycle.event] - `{ address, topics, data }` encoded into the generated proof, e.g. a receipt log
+   * @param {Object[]} [lifecycle.steps] - Explicit steps, replacing `pending` and `error`
+   * @returns {MockPolymerServer} This server, for chaining
+   */
+  nextJob(lifecycle = {}) {
+    this.lifecycles.push(lifecycle);
+    return this;
+  }
+
+  /**
+   * Fail the next calls of a method, before they reach any job
+   *
+   * @param {string} method - JSON-RPC method, or `"*"` for any method
+   * @param {Object} fault - `{ httpStatus, body, retryAfter }` or `{ rpcError }`
+   * @param {number} [times] - Number of calls to fail (default: 1)
+   * @returns {MockPolymerServer} This server, for chaining
+   */
+  failNext(method, fault, times = 1) {
+    this.faults.push({ method, fault, remaining: times });
+    return this;
+  }
+
+  /**
+   * In-process transport entry point, see the client's `transport` option
+   *
+   * @param {string} method - JSON-RPC method
+   * @param {Array} params - JSON-RPC params
+   * @param {Object} [options] - Call options
+   * @param {AbortSignal} [options.signal] - Signal to cancel the call
+   * @returns {Promise<*>} The JSON-RPC result
+   */
+  async request(method, params, options = {}) {
+    const { signal } = options;
+    if (signal && signal.aborted) {
+      throw new PolymerAbortError(signal.reason);
+    }
+
+    const answer = this.answer({ jsonrpc: "2.0", id: 1, method, params });
+    if (answer.fault) {
+      const { status, headers, body } = toHttpResponse(answer.fault);
+      throw new PolymerHttpError(status, body, new Headers(headers));
+    }
+    if (answer.response.error) {
+      throw new PolymerRpcError(answer.response.error, method);
+    }
+    return answer.response.result;
+  }
+
+  /**
+   * In-process fetch implementation, see the client's `fetch` option
+   *
+   * Unlike `request`, this goes through the client's HTTP transport, so
+   * headers, middleware and JSON-RPC batching are exercised too.
+   *
+   * @param {string} url - Request URL (ignored)
+   * @param {Object} init - fetch options
+   * @returns {Promise<Response>} The response
+   */
+  async fetch(url, init = {}) {
+    if (init.signal && init.signal.aborted) {
+      throw init.signal.reason;
+    }
+
+    const { status, headers, body } = this.handleBody(
+      init.body,
+      Object.fromEntries(new Headers(init.headers))
+    );
+    return new Response(body, { status, headers });
+  }
+
+  /**
+   * Answer a raw HTTP request body
+   *
+   * @param {string} text - Request body
+   * @param {Object} [headers] - Request headers, lower-cased
+   * @returns {Object} `{ status, headers, body }` with a string body
+   */
+  handleBody(text, headers) {
+    let payload;
+    try {
+      payload = JSON.parse(text);
+    } catch (error) {
+      payload = undefined;
+    }
+
+    const response =
+      payload === undefined
+        ? jsonResponse({
+            jsonrpc: "2.0",
+            id: null,
+            error: { code: -32700, message: "Parse error" },
+          })
+        : this.handle(payload, headers);
+
+    const { body } = response;
+    return {
+      ...response,
+      body: typeof body === "string" ? body : JSON.stringify(body),
+    };
+  }
+
+  /**
+   * Answer a JSON-RPC payload as the HTTP API would
+   *
+   * @param {Object|Object[]} payload - JSON-RPC request or batch
+   * @param {Object} [headers] - Request headers, lower-cased
+   * @returns {Object} `{ status, headers, body }`, body being a string or JSON value
+   */
+  handle(payload, headers = {}) {
+    if (this.apiKey && headers.authorization !== `Bearer ${this.apiKey}`) {
+      return toHttpResponse({ httpStatus: 401 });
+    }
+
+    const requests = Array.isArray(payload) ? payload : [payload];
+    if (requests.length === 0) {
+      return jsonResponse({
+        jsonrpc: "2.0",
+        id: null,
+        error: { code: -32600, message: "Invalid Request" },
+      });
+    }
+
+    const answers = requests.map((request) => this.answer(request));
+    const failed = answers.find((answer) => answer.fault);
+    if (failed) {
+      return toHttpResponse(failed.fault);
+    }
+
+    const responses = answers.map((answer) => answer.response);
+    return jsonResponse(Array.isArray(payload) ? responses : responses[0]);
+  }
+
+  /**
+   * Answer one JSON-RPC request
+   *
+   * @param {Object} request - JSON-RPC request
+   * @returns {Object} `{ fault }` for an HTTP-level failure, otherwise `{ response }`
+   */
+  answer(request) {
+    const { id = null, method, params = [] } = request || {};
+    this.requests.push({ method, params });
+
+    const step = this.takeFault(method) || this.dispatch(method, params);
+    if (step.httpStatus) {
+      return { fault: step };
+    }
+    if (step.rpcError) {
+      return { response: { jsonrpc: "2.0", id, error: step.rpcError } };
+    }
+    return { response: { jsonrpc: "2.0", id, result: step.result } };
+  }
+
+  /**
+   * Consume a queued fault for a method
+   *
+   * @param {string} method - JSON-RPC method
+   * @returns {Object|null} The fault step, if any
+   */
+  takeFault(method) {
+    const entry = this.faults.find(
+      (fault) => fault.method === method || fault.method === "*"
+    );
+    if (!entry) {
+      return null;
+    }
+
+    entry.remaining--;
+    if (entry.remaining <= 0) {
+      this.faults.splice(this.faults.indexOf(entry), 1);
+    }
+    return entry.fault;
+  }
+
+  /**
+   * Route a JSON-RPC method to its handler
+   *
+   * @param {string} method - JSON-RPC method
+   * @param {Array} params - JSON-RPC params
+   * @returns {Object} Step to answer with
+   */
+  dispatch(method, params) {
+    switch (method) {
+      case "log_requestProof":
+        return this.createJob(params);
+      case "log_queryProof":
+        return this.queryJob(params[0]);
+      default:
+        return {
+          rpcError: { code: -32601, message: `Method not found: ${method}` },
+        };
+    }
+  }
+
+  /**
+   * Handle `log_requestProof`
+   *
+   * @param {Array} params - `[srcChainId, srcBlockNumber, txIndex, logIndex]`
+   * @returns {Object} Step carrying the new job ID
+   */
+  createJob(params) {
+    if (
+      !Array.isArray(params) ||
+      params.length !== 4 ||
+      !params.every((value) => Number.isInteger(Number(value)))
+    ) {
+      return {
+        rpcError: {
+          code: -32602,
+          message:
+            "Invalid params: expected [srcChainId, srcBlockNumber, txIndex, logIndex]",
+        },
+      };
+    }
+
+    const [srcChainId, srcBlockNumber, txIndex, logIndex] = params.map(Number);
+    const source = { srcChainId, srcBlockNumber, txIndex, logIndex };
+    const lifecycle = this.lifecycles.length
+      ? this.lifecycles.shift()
+      : this.defaultJob;
+
+    const job = {
+      id: this.nextJobId++,
+      params: source,
+      steps: getLifecycleSteps(lifecycle),
+      queries: 0,
+      proof: lifecycle.proof || encodeMockProof(source, lifecycle.event),
+    };
+    this.jobs.set(job.id, job);
+
+    return { result: job.id };
+  }
+
+  /**
+   * Handle `log_queryProof`, advancing the job one step
+   *
+   * @param {number|string} jobId - Job ID
+   * @returns {Object} Step to answer with
+   */
+  queryJob(jobId) {
+    const job = this.jobs.get(Number(jobId));
+    if (!job) {
+      return {
+        rpcError: { code: -32602, message: `Unknown job ID: ${jobId}` },
+      };
+    }
+
+    const step = job.steps[Math.min(job.queries, job.steps.length - 1)];
+    job.queries++;
+
+    if (step.httpStatus || step.rpcError) {
+      return step;
+    }
+
+    const result = { jobID: job.id, ...step };
+    if (result.status === "complete" && result.proof === undefined) {
+      result.proof = job.proof;
+    }
+    return { result };
+  }
+
+  /**
+   * Serve the mock API over HTTP
+   *
+   * @param {number} [port] - Port to listen on (default: a free port)
+   * @param {string} [host] - Host to bind (default: 127.0.0.1)
+   * @returns {Promise<string>} The server URL, usable as `apiUrl`
+   */
+  listen(port = 0, host = "127.0.0.1") {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) =>
+        this.handleHttpRequest(req, res)
+      );
+      this.server.once("error", reject);
+      this.server.listen(port, host, () => {
+        this.url = `http://${host}:${this.server.address().port}`;
+        resolve(this.url);
+      });
+    });
+  }
+
+  /**
+   * Stop the HTTP server
+   *
+   * @returns {Promise<void>}
+   */
+  close() {
+    const server = this.server;
+    if (!server) {
+      return Promise.resolve();
+    }
+
+    this.server = null;
+    this.url = null;
+    return new Promise((resolve) => {
+      server.close(() => resolve());
+      server.closeAllConnections();
+    });
+  }
+
+  /**
+   * Node.js request handler
+   *
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  handleHttpRequest(req, res) {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      const { status, headers, body } =
+        req.method === "POST"
+          ? this.handleBody(Buffer.concat(chunks).toString("utf8"), req.headers)
+          : toHttpResponse({ httpStatus: 405 });
+      res.writeHead(status, headers);
+      res.end(body);
+    });
+  }
+}
+
+/**
+ * Expand a job lifecycle into query steps
+ *
+ * @param {Object} lifecycle - Job lifecycle (see `nextJob`)
+ * @returns {Object[]} Steps, at least one
+ */
+function getLifecycleSteps(lifecycle) {
+  if (lifecycle.steps && lifecycle.steps.length > 0) {
+    return lifecycle.steps;
+  }
+
+  const steps = [];
+  for (let i = 0; i < (lifecycle.pending || 0); i++) {
+    steps.push({ status: "pending" });
+  }
+  steps.push(
+    lifecycle.error
+      ? { status: "error", failureReason: lifecycle.error }
+      : { status: "complete" }
+  );
+  return steps;
+}
+
+/**
+ * Build a structurally valid proof for a source log
+ *
+ * The header follows PROOF_LAYOUT in the plugin; the state root, height and
+ * signature are placeholders, so the proof only passes offline checks.
+ *
+ * @param {Object} source - `{ srcChainId, srcBlockNumber, txIndex, logIndex }`
+ * @param {Object} [event] - `{ address, topics, data }` of the proven log
+ * @returns {string} Base64 proof
+ */
+function encodeMockProof(source, event = {}) {
+  const {
+    address = "0x0000000000000000000000000000000000000000",
+    topics = [],
+    data = "0x",
+  } = event;
+  const hex = (value) => Buffer.from(value.replace(/^0x/, ""), "hex");
+  const uint = (value, size) => {
+    const bytes = Buffer.alloc(size);
+    let remaining = BigInt(value);
+    for (let i = size - 1; i >= 0; i--) {
+      bytes[i] = Number(remaining & 0xffn);
+      remaining >>= 8n;
+    }
+    return bytes;
+  };
+
+  const eventBytes = Buffer.concat([
+    hex(address),
+    ...topics.map(hex),
+    hex(data),
+  ]);
+  const header = Buffer.concat([
+    Buffer.alloc(32), // appHash
+    uint(1, 8), // peptideHeight
+    Buffer.alloc(65), // signature
+    uint(source.srcChainId, 4),
+    uint(source.srcBlockNumber, 8),
+    uint(source.txIndex, 2),
+    uint(source.logIndex, 1),
+    uint(topics.length, 1),
+    uint(123 + eventBytes.length, 2),
+  ]);
+
+  return Buffer.concat([header, eventBytes]).toString("base64");
+}
+
+/**
+ * Build the HTTP response for a fault step
+ *
+ * @param {Object} fault - `{ httpStatus, body, retryAfter }`
+ * @returns {Object} `{ status, headers, body }`
+ */
+function toHttpResponse(fault) {
+  const headers = { "Content-Type": "text/plain" };
+  if (fault.retryAfter !== undefined) {
+    headers["Retry-After"] = String(fault.retryAfter);
+  }
+  return {
+    status: fault.httpStatus,
+    headers,
+    body:
+      fault.body !== undefined
+        ? fault.body
+        : http.STATUS_CODES[fault.httpStatus],
+  };
+}
+
+/**
+ * Build a 200 JSON-RPC response
+ *
+ * @param {Object|Object[]} body - Response body
+ * @returns {Object} `{ status, headers, body }`
+ */
+function jsonResponse(body) {
+  return {
+    status: 200,
+    headers: { "Content-Type": "application/json" },
+    body,
+  };
+}
+
+module.exports = { MockPolymerServer, encodeMockProof };
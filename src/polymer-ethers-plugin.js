@@ -9,7 +9,7 @@
  * ```javascript
  * // Import the plugin and ethers
  * import { ethers } from "https://cdnjs.cloudflare.com/ajax/libs/ethers/6.13.5/ethers.umd.min.js";
- * import { addPolymerToEthers } from "./polymer-ethers-plugin.js";
+ * import { addPolymerToEthers, PolymerClient } from "./polymer-ethers-plugin.js";
  *
  * // Initialize the plugin
  * addPolymerToEthers(ethers, {
@@ -37,364 +37,4207 @@
  *   maxAttempts: 20,      // Maximum polling attempts
  *   interval: 3000        // Polling interval in ms
  * });
+ *
+ * // Or use standalone clients, e.g. one per Polymer network
+ * const testnet = new PolymerClient({ apiKey: "KEY", ethers });
+ * const mainnet = new PolymerClient({ apiKey: "KEY", apiUrl: "https://proof.polymer.zone", ethers });
+ * const result = await mainnet.proveReceipt(receipt, { logIndex: 0 });
  * ```
  */
 
 /**
- * Default configuration for the Polymer plugin
+ * Default configuration for the Polymer plugin
+ */
+const DEFAULT_CONFIG = {
+  apiUrl: "https://proof.testnet.polymer.zone",
+  apiKey: null,
+  network: null,
+  endpoints: null,
+  failover: {
+    cooldown: 30000,
+    pinJobs: true,
+  },
+  maxAttempts: 20,
+  interval: 3000,
+  pollingStrategy: "fixed",
+  intervalStep: 3000,
+  backoffFactor: 2,
+  maxInterval: 30000,
+  waitUntil: null,
+  batchConcurrency: 5,
+  jsonRpcBatch: null,
+  proverAddresses: {},
+  providers: {},
+  supportedChains: null,
+  jobStore: null,
+  cache: null,
+  timeout: 60000,
+  rateLimit: null,
+  transport: null,
+  fetch: null,
+  middleware: [],
+  debug: false,
+  retry: {
+    maxRetries: 3,
+    baseDelay: 500,
+    maxDelay: 10000,
+    jitter: 0.5,
+    retryableStatuses: [408, 429, 500, 502, 503, 504],
+    retryableRpcCodes: [],
+    onRetry: null,
+  },
+};
+
+/**
+ * ABI of the Polymer CrossL2ProverV2 contract used to validate proofs on
+ * the destination chain
+ */
+const CROSS_L2_PROVER_ABI = [
+  "function validateEvent(bytes proof) view returns (uint32 chainId, address emittingContract, bytes topics, bytes unindexedData)",
+  "function inspectLogIdentifier(bytes proof) pure returns (uint32 srcChain, uint64 blockNumber, uint16 receiptIndex, uint8 logIndex)",
+  "function inspectPolymerState(bytes proof) pure returns (bytes32 stateRoot, uint64 height, bytes signature)",
+];
+
+/**
+ * Known CrossL2ProverV2 deployments by destination chain ID. Extend or
+ * override them with the `proverAddresses` config option.
+ */
+const CROSS_L2_PROVER_ADDRESSES = {
+  // Testnets
+  11155420: "0x03Fb5bFA4EB2Cba072A477A372bB87880A60fC96", // Optimism Sepolia
+  84532: "0x03Fb5bFA4EB2Cba072A477A372bB87880A60fC96", // Base Sepolia
+  // Mainnets
+  10: "0x441F16587d8A8CCE5BFa0bb7e4D52ECa0D4E8F20", // Optimism
+  8453: "0x441F16587d8A8CCE5BFa0bb7e4D52ECa0D4E8F20", // Base
+};
+
+/**
+ * Defaults applied when JSON-RPC batching is enabled with `jsonRpcBatch`
+ */
+const DEFAULT_JSON_RPC_BATCH = {
+  window: 10,
+  maxSize: 50,
+};
+
+/**
+ * Polymer API presets selectable with the `network` option, with the
+ * source chain IDs each API can prove logs from
+ */
+const POLYMER_NETWORKS = {
+  testnet: {
+    apiUrl: "https://proof.testnet.polymer.zone",
+    chainIds: [
+      11155111, // Ethereum Sepolia
+      11155420, // Optimism Sepolia
+      84532, // Base Sepolia
+      421614, // Arbitrum Sepolia
+      919, // Mode Sepolia
+      763373, // Ink Sepolia
+      1301, // Unichain Sepolia
+    ],
+  },
+  mainnet: {
+    apiUrl: "https://proof.polymer.zone",
+    chainIds: [
+      1, // Ethereum
+      10, // Optimism
+      8453, // Base
+      42161, // Arbitrum One
+      34443, // Mode
+      57073, // Ink
+      130, // Unichain
+    ],
+  },
+};
+
+/**
+ * Number of job-to-endpoint pins kept by the failover transport
+ */
+const MAX_PINNED_JOBS = 10000;
+
+/**
+ * Number of proven logs an auto prover remembers to skip on rescans
+ */
+const MAX_PROVEN_LOGS = 10000;
+
+/**
+ * Base class for all errors thrown by the Polymer plugin
+ */
+class PolymerError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = this.constructor.name;
+  }
+}
+
+/**
+ * The Polymer API answered with a non-2xx HTTP status
+ */
+class PolymerHttpError extends PolymerError {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} body - Raw response body
+   * @param {Object} [headers] - Response headers
+   */
+  constructor(status, body, headers) {
+    super(`HTTP error! status: ${status}`);
+    this.status = status;
+    this.body = body;
+    this.headers = headers;
+  }
+}
+
+/**
+ * The Polymer API returned a JSON-RPC error object
+ */
+class PolymerRpcError extends PolymerError {
+  /**
+   * @param {Object} error - The JSON-RPC error object
+   * @param {string} [method] - The JSON-RPC method that failed
+   */
+  constructor(error, method) {
+    super(`Polymer API error: ${JSON.stringify(error)}`);
+    this.code = error.code;
+    this.rpcMessage = error.message;
+    this.data = error.data;
+    this.method = method;
+  }
+}
+
+/**
+ * fetch failed before the Polymer API answered, e.g. DNS or connection errors
+ */
+class PolymerNetworkError extends PolymerError {
+  /**
+   * @param {string} url - The URL being fetched
+   * @param {Error} cause - The error fetch rejected with
+   */
+  constructor(url, cause) {
+    super(`Network error calling ${url}: ${cause && cause.message}`, {
+      cause,
+    });
+    this.url = url;
+  }
+}
+
+/**
+ * A single JSON-RPC call exceeded the configured `timeout`
+ */
+class PolymerRequestTimeoutError extends PolymerError {
+  /**
+   * @param {string} method - The JSON-RPC method that timed out
+   * @param {number} timeout - The timeout in ms
+   */
+  constructor(method, timeout) {
+    super(`Polymer request ${method} timed out after ${timeout}ms`);
+    // Match the DOM convention so `error.name === "TimeoutError"` keeps working
+    this.name = "TimeoutError";
+    this.method = method;
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * The caller aborted the operation through an AbortSignal
+ */
+class PolymerAbortError extends PolymerError {
+  /**
+   * @param {*} [reason] - The signal's abort reason
+   */
+  constructor(reason) {
+    super("Polymer operation aborted", { cause: reason });
+    // Match the DOM convention so `error.name === "AbortError"` keeps working
+    this.name = "AbortError";
+  }
+}
+
+/**
+ * The proof job finished with status "error"
+ */
+class PolymerProofFailedError extends PolymerError {
+  /**
+   * @param {string} jobId - The proof job ID
+   * @param {Object} result - The final `log_queryProof` result
+   */
+  constructor(jobId, result) {
+    super(
+      `Proof generation failed: ${result.failureReason || "Unknown error"}`
+    );
+    this.jobId = jobId;
+    this.failureReason = result.failureReason;
+    this.result = result;
+  }
+}
+
+/**
+ * Polling gave up before the proof job completed
+ */
+class PolymerPollingTimeoutError extends PolymerError {
+  /**
+   * @param {string} jobId - The proof job ID
+   * @param {number} attempts - Number of polling attempts made
+   * @param {Object} [lastStatus] - The last `log_queryProof` result seen
+   */
+  constructor(jobId, attempts, lastStatus) {
+    super(`Proof generation timed out after ${attempts} attempts`);
+    this.jobId = jobId;
+    this.attempts = attempts;
+    this.lastStatus = lastStatus;
+  }
+}
+
+/**
+ * The requested log could not be found in the transaction receipt
+ */
+class PolymerLogNotFoundError extends PolymerError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Selection details
+   * @param {string} [details.transactionHash] - The receipt's transaction hash
+   * @param {string} [details.eventSignature] - The requested event signature
+   * @param {number} [details.logIndex] - The requested log index
+   * @param {Object[]} [details.candidates] - Receipt logs that could have been meant
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.transactionHash = details.transactionHash;
+    this.eventSignature = details.eventSignature;
+    this.logIndex = details.logIndex;
+    this.candidates = details.candidates;
+  }
+}
+
+/**
+ * Several receipt logs match the selection and none was chosen with `nth`
+ */
+class PolymerAmbiguousLogError extends PolymerError {
+  /**
+   * @param {string} description - Description of the selection
+   * @param {Object[]} candidates - The matching logs as `{ logIndex, address, topics }`
+   * @param {string} [transactionHash] - The receipt's transaction hash
+   */
+  constructor(description, candidates, transactionHash) {
+    const list = candidates
+      .map(({ logIndex, address }) => `#${logIndex} (${address})`)
+      .join(", ");
+    super(
+      `${candidates.length} logs match ${description}: ${list}. Pass nth or a narrower filter to choose one`
+    );
+    this.candidates = candidates;
+    this.transactionHash = transactionHash;
+  }
+}
+
+/**
+ * A proof could not be decoded
+ */
+class PolymerProofDecodeError extends PolymerError {}
+
+/**
+ * A proof does not match the receipt log it was requested for
+ */
+class PolymerProofMismatchError extends PolymerError {
+  /**
+   * @param {Object[]} mismatches - `{ field, expected, actual }` per differing field
+   * @param {Object} decoded - The decoded proof
+   */
+  constructor(mismatches, decoded) {
+    super(
+      `Proof does not match receipt log: ${mismatches
+        .map(({ field }) => field)
+        .join(", ")}`
+    );
+    this.mismatches = mismatches;
+    this.decoded = decoded;
+  }
+}
+
+/**
+ * A proof was generated but submitting it to the destination chain failed
+ */
+class PolymerRelayError extends PolymerError {
+  /**
+   * @param {string} stage - "estimate" or "send"
+   * @param {Object} proofResult - The proof result, so it can be resubmitted
+   * @param {Error} cause - The underlying ethers error
+   */
+  constructor(stage, proofResult, cause) {
+    super(`Relay failed during ${stage}: ${cause.message}`, { cause });
+    this.stage = stage;
+    this.proofResult = proofResult;
+  }
+}
+
+/**
+ * The receipt's block is no longer canonical on the source chain
+ */
+class PolymerReorgError extends PolymerError {
+  /**
+   * @param {Object} receipt - The receipt that was to be proven
+   * @param {string|null} canonicalBlockHash - Hash of the canonical block at the receipt's height
+   * @param {Object|null} currentReceipt - The transaction's receipt on the canonical chain, if it was mined again
+   */
+  constructor(receipt, canonicalBlockHash, currentReceipt) {
+    super(
+      `Block ${receipt.blockNumber} of transaction ${receipt.hash} was reorganized out of the canonical chain`
+    );
+    this.transactionHash = receipt.hash;
+    this.blockNumber = receipt.blockNumber;
+    this.blockHash = receipt.blockHash;
+    this.canonicalBlockHash = canonicalBlockHash;
+    this.currentReceipt = currentReceipt;
+  }
+}
+
+/**
+ * The transaction to prove was replaced by another one with the same nonce
+ */
+class PolymerTransactionReplacedError extends PolymerError {
+  /**
+   * @param {string} transactionHash - Hash of the original transaction
+   * @param {Object} cause - The ethers TRANSACTION_REPLACED error
+   */
+  constructor(transactionHash, cause) {
+    super(
+      `Transaction ${transactionHash} was ${
+        cause.reason === "cancelled" ? "cancelled" : "replaced"
+      } by ${cause.hash}`,
+      { cause }
+    );
+    this.transactionHash = transactionHash;
+    this.reason = cause.reason;
+    this.cancelled = cause.cancelled;
+    this.replacementHash = cause.hash;
+    this.replacement = cause.replacement;
+    this.receipt = cause.receipt;
+  }
+}
+
+/**
+ * The transaction to prove was mined but reverted, so it emitted no logs
+ */
+class PolymerTransactionRevertedError extends PolymerError {
+  /**
+   * @param {Object} receipt - The receipt with status 0
+   * @param {Error} [cause] - The ethers CALL_EXCEPTION error
+   */
+  constructor(receipt, cause) {
+    super(
+      `Transaction ${receipt.hash} reverted in block ${receipt.blockNumber}`,
+      cause ? { cause } : undefined
+    );
+    this.transactionHash = receipt.hash;
+    this.receipt = receipt;
+  }
+}
+
+/**
+ * A call was turned away because the rate limiter's queue is full
+ */
+class PolymerRateLimitError extends PolymerError {
+  /**
+   * @param {number} maxQueue - The configured queue limit
+   */
+  constructor(maxQueue) {
+    super(`Rate limit queue is full (${maxQueue} calls waiting)`);
+    this.maxQueue = maxQueue;
+  }
+}
+
+/**
+ * The Polymer API cannot prove logs from the requested source chain
+ */
+class PolymerUnsupportedChainError extends PolymerError {
+  /**
+   * @param {number} chainId - The requested source chain ID
+   * @param {number[]} supportedChains - Chain IDs the configured API supports
+   */
+  constructor(chainId, supportedChains) {
+    super(
+      `Chain ${chainId} is not supported by the Polymer API, expected one of: ${supportedChains.join(
+        ", "
+      )}`
+    );
+    this.chainId = chainId;
+    this.supportedChains = supportedChains;
+  }
+}
+
+/**
+ * Polymer proof API client
+ *
+ * Holds its own configuration, logger and transport, so several clients
+ * (e.g. testnet and mainnet) can live side by side in the same process.
+ *
+ * Emits proof job lifecycle events, see `on`:
+ * - `requested` `{ jobId, params }` once `log_requestProof` returns a job
+ * - `status` `{ jobId, attempt, result }` for every `log_queryProof` result while waiting
+ * - `retry` `{ method, attempt, delay, error }` before a transient failure is retried
+ * - `block` `{ transactionHash, blockNumber, attempt, confirmations, finalizedBlock }` while waiting for the source block
+ * - `complete` `{ jobId, attempts, result }` when the proof is ready
+ * - `failed` `{ jobId, params, error }` when requesting or waiting fails
+ */
+class PolymerClient {
+  /**
+   * @param {Object} config - Configuration object
+   * @param {string} config.apiKey - Your Polymer API key
+   * @param {string} [config.apiUrl] - Polymer API URL (default: 'https://proof.testnet.polymer.zone')
+   * @param {string} [config.network] - Network preset providing the API URL, "testnet" or "mainnet"
+   * @param {string[]} [config.endpoints] - API URLs to fail over between, in order of preference (overrides apiUrl and network)
+   * @param {Object} [config.failover] - Failover settings when several endpoints are configured
+   * @param {number} [config.failover.cooldown] - How long a failing endpoint is skipped in ms (default: 30000)
+   * @param {boolean} [config.failover.pinJobs] - Send a job's status queries only to the endpoint that created it (default: true)
+   * @param {number} [config.maxAttempts] - Maximum polling attempts (default: 20)
+   * @param {number} [config.interval] - Polling interval in ms (default: 3000)
+   * @param {string|Function} [config.pollingStrategy] - "fixed", "linear", "exponential", "deadline" or a custom function (default: "fixed")
+   * @param {number} [config.intervalStep] - Interval increase per attempt for the linear strategy in ms (default: 3000)
+   * @param {number} [config.backoffFactor] - Interval multiplier for the exponential strategy (default: 2)
+   * @param {number} [config.maxInterval] - Upper bound for linear and exponential intervals in ms (default: 30000)
+   * @param {number} [config.waitUntil] - Total polling budget in ms for the deadline strategy
+   * @param {number} [config.batchConcurrency] - Maximum concurrent requests for batch proofs (default: 5)
+   * @param {Object|boolean} [config.jsonRpcBatch] - Coalesce concurrent calls into JSON-RPC batches (default: disabled)
+   * @param {number} [config.jsonRpcBatch.window] - How long to collect calls before sending a batch in ms (default: 10)
+   * @param {number} [config.jsonRpcBatch.maxSize] - Maximum calls per batch (default: 50)
+   * @param {Object} [config.proverAddresses] - CrossL2Prover addresses by chain ID, merged over the built-in registry
+   * @param {Object} [config.providers] - ethers.js providers by source chain ID, used by `proveTransaction`
+   * @param {number[]} [config.supportedChains] - Source chain IDs the API supports (default: those of the matching network preset)
+   * @param {Object} [config.jobStore] - Job store recording requested jobs, see MemoryJobStore
+   * @param {Object|boolean} [config.cache] - Cache completed proofs by source log (default: disabled)
+   * @param {Object} [config.cache.store] - Cache backend with async get/set/delete (default: LruProofCache)
+   * @param {number} [config.cache.maxEntries] - Size of the default in-memory cache (default: 1000)
+   * @param {number} [config.cache.ttl] - Time to live of cached proofs in ms (default: no expiry)
+   * @param {number} [config.timeout] - Request timeout in ms (default: 60000)
+   * @param {Object} [config.rateLimit] - Limit the calls made by this client, including polling (default: disabled)
+   * @param {number} [config.rateLimit.requestsPerSecond] - Token bucket refill rate
+   * @param {number} [config.rateLimit.burst] - Token bucket size (default: requestsPerSecond, rounded up)
+   * @param {number} [config.rateLimit.maxConcurrent] - Maximum calls in flight
+   * @param {number} [config.rateLimit.maxQueue] - Maximum calls waiting, beyond which calls fail with PolymerRateLimitError (default: unlimited)
+   * @param {Object} [config.transport] - Custom transport with `request(method, params, { signal })`, e.g. a MockPolymerServer
+   * @param {Function} [config.fetch] - fetch implementation used by the HTTP transports (default: global fetch)
+   * @param {Object[]} [config.middleware] - Hooks `{ beforeRequest(request), afterResponse(response, request) }` run around every HTTP request, in order
+   * @param {boolean} [config.debug] - Enable debug logging (default: false)
+   * @param {Object|false} [config.retry] - Retry policy for transient failures, or false to disable
+   * @param {number} [config.retry.maxRetries] - Maximum retries per call (default: 3)
+   * @param {number} [config.retry.baseDelay] - Delay before the first retry in ms, doubled on each retry (default: 500)
+   * @param {number} [config.retry.maxDelay] - Upper bound for the backoff delay in ms; a longer Retry-After fails the call instead (default: 10000)
+   * @param {number} [config.retry.jitter] - Fraction of the delay to randomize, 0 to 1 (default: 0.5)
+   * @param {number[]} [config.retry.retryableStatuses] - HTTP statuses worth retrying
+   * @param {number[]} [config.retry.retryableRpcCodes] - JSON-RPC error codes worth retrying
+   * @param {Function} [config.retry.onRetry] - Called with `{ method, attempt, delay, error }` before each retry
+   * @param {Object} [config.ethers] - The ethers.js library, needed to resolve event signatures
+   */
+  constructor(config = {}) {
+    const { ethers = null, ...options } = config;
+
+    this.config = {
+      ...DEFAULT_CONFIG,
+      ...options,
+      retry:
+        options.retry === false
+          ? { ...DEFAULT_CONFIG.retry, maxRetries: 0 }
+          : { ...DEFAULT_CONFIG.retry, ...options.retry },
+      jsonRpcBatch: options.jsonRpcBatch
+        ? { ...DEFAULT_JSON_RPC_BATCH, ...options.jsonRpcBatch }
+        : null,
+      middleware: [...(options.middleware || [])],
+      failover: { ...DEFAULT_CONFIG.failover, ...options.failover },
+      providers: { ...options.providers },
+    };
+    this.config.endpoints = resolveEndpoints(options);
+    this.config.apiUrl = this.config.endpoints[0];
+    this.ethers = ethers;
+    this.logger = createLogger(this.config.debug);
+    this.listeners = {};
+    // Job IDs tracked in the job store or proof cache, mapped to their keys
+    this.jobKeys = new Map();
+    // In-flight log_requestProof calls by job key
+    this.pendingRequests = new Map();
+    this.cache = createProofCache(this.config.cache);
+    this.rateLimiter = this.config.rateLimit
+      ? createRateLimiter(this.config.rateLimit)
+      : null;
+
+    if (!this.config.apiKey) {
+      throw new Error("Polymer API key is required");
+    }
+    assertConcurrency(this.config.batchConcurrency, "batchConcurrency");
+
+    if (
+      !this.config.transport &&
+      !this.config.fetch &&
+      typeof fetch === "undefined"
+    ) {
+      throw new Error(
+        "No fetch implementation available, pass one with the fetch option"
+      );
+    }
+
+    const createTransport = this.config.jsonRpcBatch
+      ? createBatchTransport
+      : createHttpTransport;
+
+    if (this.config.transport) {
+      this.transport = this.config.transport;
+    } else if (this.config.endpoints.length > 1) {
+      this.transport = createFailoverTransport(
+        this.config,
+        this.logger,
+        createTransport
+      );
+    } else {
+      this.transport = createTransport(this.config, this.logger);
+    }
+
+    this.logger.log("Initializing Polymer client with config:", this.config);
+  }
+
+  /**
+   * Register a listener for a lifecycle event
+   *
+   * @param {string} event - Event name
+   * @param {Function} listener - Called with the event payload
+   * @returns {PolymerClient} This client, for chaining
+   */
+  on(event, listener) {
+    if (!this.listeners[event]) {
+      this.listeners[event] = [];
+    }
+    this.listeners[event].push(listener);
+    return this;
+  }
+
+  /**
+   * Register a listener that is removed after its first call
+   *
+   * @param {string} event - Event name
+   * @param {Function} listener - Called with the event payload
+   * @returns {PolymerClient} This client, for chaining
+   */
+  once(event, listener) {
+    const wrapper = (payload) => {
+      this.off(event, wrapper);
+      listener(payload);
+    };
+    wrapper.listener = listener;
+    return this.on(event, wrapper);
+  }
+
+  /**
+   * Remove a listener registered with `on` or `once`
+   *
+   * @param {string} event - Event name
+   * @param {Function} listener - The listener to remove
+   * @returns {PolymerClient} This client, for chaining
+   */
+  off(event, listener) {
+    const listeners = this.listeners[event];
+    if (listeners) {
+      this.listeners[event] = listeners.filter(
+        (l) => l !== listener && l.listener !== listener
+      );
+    }
+    return this;
+  }
+
+  /**
+   * Deliver a lifecycle event to the registered listeners and to an
+   * optional per-call `onProgress` callback
+   *
+   * Listener errors are logged rather than thrown, so a broken UI callback
+   * cannot fail a proof job.
+   *
+   * @param {string} event - Event name
+   * @param {Object} payload - Event payload
+   * @param {Function} [onProgress] - Per-call callback, receives `{ type, ...payload }`
+   */
+  emit(event, payload, onProgress) {
+    const listeners = (this.listeners[event] || []).slice();
+    if (onProgress) {
+      listeners.push((data) => onProgress({ type: event, ...data }));
+    }
+
+    for (const listener of listeners) {
+      try {
+        listener(payload);
+      } catch (error) {
+        this.logger.error(`Error in ${event} listener:`, error);
+      }
+    }
+  }
+
+  /**
+   * Request a proof for a transaction log
+   *
+   * @param {Object} params - Parameters for proof generation
+   * @param {number} params.srcChainId - Source chain ID
+   * @param {number} params.srcBlockNumber - Source block number
+   * @param {number} params.txIndex - Transaction index
+   * @param {number} params.logIndex - Local log index within the transaction
+   * @param {AbortSignal} [params.signal] - Signal to cancel the request
+   * @param {Function} [params.onProgress] - Receives lifecycle events for this request
+   * @returns {Promise<string>} Job ID for the proof request
+   */
+  async requestProof(params) {
+    const {
+      srcChainId,
+      srcBlockNumber,
+      txIndex,
+      logIndex,
+      signal,
+      onProgress,
+    } = params;
+    const proofParams = { srcChainId, srcBlockNumber, txIndex, logIndex };
+    const key = getJobKey(proofParams);
+    throwIfAborted(signal);
+
+    const cached = await this.getCachedProof(key);
+    if (cached) {
+      this.logger.log(`Using cached proof job ${cached.jobId} for ${key}`);
+      this.jobKeys.set(cached.jobId, key);
+      return cached.jobId;
+    }
+    // The cache lookup may be async, so the caller can give up during it
+    throwIfAborted(signal);
+
+    // Concurrent callers asking for the same log share one request, which
+    // has its own signal. One caller aborting does not fail the others; the
+    // request itself is only aborted once every caller has given up, and a
+    // caller arriving after that starts a new one. Progress events go to
+    // every caller still attached.
+    let pending = this.pendingRequests.get(key);
+    if (pending && !pending.controller.signal.aborted) {
+      this.logger.log(`Joining in-flight proof request for ${key}`);
+    } else {
+      const controller = new AbortController();
+      const entry = { controller, callers: 0, listeners: new Set() };
+      const dispatch = (event) => {
+        for (const listener of entry.listeners) {
+          try {
+            listener(event);
+          } catch (error) {
+            this.logger.error(`Error in ${event.type} listener:`, error);
+          }
+        }
+      };
+      entry.promise = this.createProofJob(
+        proofParams,
+        dispatch,
+        controller.signal
+      ).finally(() => {
+        if (this.pendingRequests.get(key) === entry) {
+          this.pendingRequests.delete(key);
+        }
+      });
+      // Callers observe the result through joinProofRequest; this keeps a
+      // request whose callers have all aborted from going unhandled
+      entry.promise.catch(() => {});
+      pending = entry;
+      this.pendingRequests.set(key, pending);
+    }
+
+    return this.joinProofRequest(pending, signal, onProgress);
+  }
+
+  /**
+   * Wait for a shared in-flight proof request on behalf of one caller
+   *
+   * Callers without a signal keep the request alive until it settles.
+   *
+   * @param {Object} pending - `{ controller, callers, listeners, promise }`
+   * @param {AbortSignal} [signal] - The caller's signal
+   * @param {Function} [onProgress] - The caller's progress callback
+   * @returns {Promise<string>} Job ID for the proof request
+   */
+  async joinProofRequest(pending, signal, onProgress) {
+    // Wrapped so that two callers passing the same function stay separate
+    const listener = onProgress && ((event) => onProgress(event));
+    if (listener) {
+      pending.listeners.add(listener);
+    }
+    pending.callers++;
+    if (!signal) {
+      return pending.promise;
+    }
+
+    const onAbort = () => {
+      pending.listeners.delete(listener);
+      pending.callers--;
+      if (pending.callers === 0) {
+        pending.controller.abort(signal.reason);
+      }
+    };
+    if (signal.aborted) {
+      onAbort();
+      throw new PolymerAbortError(signal.reason);
+    }
+    signal.addEventListener("abort", onAbort, { once: true });
+
+    try {
+      return await withSignal(pending.promise, signal);
+    } finally {
+      signal.removeEventListener("abort", onAbort);
+    }
+  }
+
+  /**
+   * Send `log_requestProof`, or reuse a job recorded in the job store
+   *
+   * @param {Object} proofParams - `{ srcChainId, srcBlockNumber, txIndex, logIndex }`
+   * @param {Function} [onProgress] - Receives lifecycle events for this request
+   * @param {AbortSignal} [signal] - Signal to cancel the request
+   * @returns {Promise<string>} Job ID for the proof request
+   */
+  async createProofJob(proofParams, onProgress, signal) {
+    const { srcChainId, srcBlockNumber, txIndex, logIndex } = proofParams;
+    const rpcParams = [srcChainId, srcBlockNumber, txIndex, logIndex];
+    const store = this.config.jobStore;
+    const key = getJobKey(proofParams);
+
+    if (store) {
+      const existing = await store.get(key);
+      if (existing && existing.jobId && existing.status !== "error") {
+        this.logger.log(
+          `Reusing stored proof job ${existing.jobId} for ${key}`
+        );
+        this.jobKeys.set(existing.jobId, key);
+        this.restoreJobEndpoint(existing);
+        return existing.jobId;
+      }
+    }
+
+    this.logger.log("Requesting proof with params:", rpcParams);
+
+    try {
+      const jobId = await this.call("log_requestProof", rpcParams, {
+        signal,
+        onProgress,
+      });
+
+      if (store || this.cache) {
+        this.jobKeys.set(jobId, key);
+      }
+
+      if (store) {
+        const now = Date.now();
+        await store.set(key, {
+          key,
+          params: proofParams,
+          jobId,
+          endpoint: this.transport.getJobEndpoint
+            ? this.transport.getJobEndpoint(jobId)
+            : null,
+          status: "requested",
+          result: null,
+          failureReason: null,
+          createdAt: now,
+          updatedAt: now,
+        });
+      }
+
+      this.emit("requested", { jobId, params: proofParams }, onProgress);
+      return jobId;
+    } catch (error) {
+      this.logger.error("Error requesting proof:", error);
+      this.emit("failed", { params: proofParams, error }, onProgress);
+      throw error;
+    }
+  }
+
+  /**
+   * Query the status of a proof generation job
+   *
+   * @param {string} jobId - Job ID from the proof request
+   * @param {Object} [options] - Query options
+   * @param {AbortSignal} [options.signal] - Signal to cancel the request
+   * @param {Function} [options.onProgress] - Receives retry events for this query
+   * @returns {Promise<Object>} The job status
+   */
+  async queryProofStatus(jobId, options = {}) {
+    if (!jobId) {
+      throw new Error("Job ID is required");
+    }
+
+    this.logger.log("Querying proof status for job:", jobId);
+
+    try {
+      return await this.call("log_queryProof", [jobId], {
+        signal: options.signal,
+        onProgress: options.onProgress,
+      });
+    } catch (error) {
+      this.logger.error("Error querying proof status:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a JSON-RPC call through the transport, retrying transient failures
+   *
+   * @param {string} method - JSON-RPC method
+   * @param {Array} params - JSON-RPC params
+   * @param {Object} [options] - Call options
+   * @param {AbortSignal} [options.signal] - Signal to cancel the call and any pending retry
+   * @param {Function} [options.onProgress] - Receives retry events for this call
+   * @returns {Promise<*>} The JSON-RPC result
+   */
+  async call(method, params, options = {}) {
+    const { signal, onProgress } = options;
+    const policy = this.config.retry;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.send(method, params, signal);
+      } catch (error) {
+        if (attempt >= policy.maxRetries || !isRetryableError(error, policy)) {
+          throw error;
+        }
+
+        const delay = getRetryDelay(error, attempt, policy);
+        if (delay === null) {
+          this.logger.log(
+            `Not retrying ${method}, Retry-After exceeds maxDelay: ${error.message}`
+          );
+          throw error;
+        }
+        this.logger.log(
+          `Retrying ${method} in ${delay}ms (retry ${attempt + 1}/${
+            policy.maxRetries
+          }) after: ${error.message}`
+        );
+        const retry = { method, attempt: attempt + 1, delay, error };
+        if (policy.onRetry) {
+          try {
+            policy.onRetry(retry);
+          } catch (hookError) {
+            this.logger.error("Error in onRetry hook:", hookError);
+          }
+        }
+        this.emit("retry", retry, onProgress);
+
+        await sleep(delay, signal);
+      }
+    }
+  }
+
+  /**
+   * Send one JSON-RPC call once the rate limiter lets it through
+   *
+   * @param {string} method - JSON-RPC method
+   * @param {Array} params - JSON-RPC params
+   * @param {AbortSignal} [signal] - Signal to cancel the call, also while queued
+   * @returns {Promise<*>} The JSON-RPC result
+   */
+  async send(method, params, signal) {
+    if (!this.rateLimiter) {
+      return this.transport.request(method, params, { signal });
+    }
+
+    const release = await this.rateLimiter.acquire(signal);
+    try {
+      return await this.transport.request(method, params, { signal });
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Report the rate limiter's queue and wait time metrics
+   *
+   * @returns {Object|null} `{ queued, active, granted, rejected, totalWaitTime, maxWaitTime, averageWaitTime }`, or null without `rateLimit`
+   */
+  getRateLimitStats() {
+    return this.rateLimiter ? this.rateLimiter.stats() : null;
+  }
+
+  /**
+   * Report the health of the configured endpoints
+   *
+   * @returns {Object[]} `{ url, healthy, failures, unhealthyUntil, lastError }` per endpoint, empty without failover
+   */
+  getEndpointHealth() {
+    return this.transport.getHealth ? this.transport.getHealth() : [];
+  }
+
+  /**
+   * Route status queries of a stored job back to the endpoint that created it
+   *
+   * @param {Object} record - Job store record
+   */
+  restoreJobEndpoint(record) {
+    if (record.endpoint && this.transport.pinJob) {
+      this.transport.pinJob(record.jobId, record.endpoint);
+    }
+  }
+
+  /**
+   * Poll for proof completion
+   *
+   * @param {string} jobId - Job ID from the proof request
+   * @param {Object} [options] - Polling options, each defaulting to the client config
+   * @param {string|Function} [options.pollingStrategy] - Polling strategy (see constructor)
+   * @param {number} [options.maxAttempts] - Maximum polling attempts
+   * @param {number} [options.interval] - Polling interval in ms
+   * @param {number} [options.intervalStep] - Linear strategy increment in ms
+   * @param {number} [options.backoffFactor] - Exponential strategy multiplier
+   * @param {number} [options.maxInterval] - Interval cap in ms
+   * @param {number} [options.waitUntil] - Deadline strategy budget in ms
+   * @param {AbortSignal} [options.signal] - Signal to stop polling
+   * @param {Function} [options.onProgress] - Receives lifecycle events while polling
+   * @returns {Promise<Object>} The proof result
+   */
+  async wait(jobId, options = {}) {
+    const { onProgress } = options;
+
+    try {
+      for await (const { attempt, result } of this.poll(jobId, options)) {
+        if (result.status === "complete") {
+          this.logger.log("Proof generation complete!");
+          this.emit(
+            "complete",
+            { jobId, attempts: attempt, result },
+            onProgress
+          );
+          return result;
+        }
+
+        if (result.status === "error") {
+          throw new PolymerProofFailedError(jobId, result);
+        }
+      }
+    } catch (error) {
+      this.emit("failed", { jobId, error }, onProgress);
+      throw error;
+    }
+  }
+
+  /**
+   * Watch a proof job, yielding every distinct status until it finishes
+   *
+   * The iteration ends after yielding a "complete" or "error" status, or
+   * without error when the signal aborts. Breaking out of the loop stops
+   * polling.
+   *
+   * @param {string} jobId - Job ID from the proof request
+   * @param {Object} [options] - Polling options (see `wait`)
+   * @returns {AsyncGenerator<Object>} The `log_queryProof` results
+   */
+  async *watch(jobId, options = {}) {
+    const { onProgress } = options;
+    let previous;
+
+    try {
+      for await (const { attempt, result } of this.poll(jobId, options)) {
+        const key = JSON.stringify(result);
+        if (key !== previous) {
+          previous = key;
+          yield result;
+        }
+
+        if (result.status === "complete") {
+          this.emit(
+            "complete",
+            { jobId, attempts: attempt, result },
+            onProgress
+          );
+          return;
+        }
+
+        if (result.status === "error") {
+          const error = new PolymerProofFailedError(jobId, result);
+          this.emit("failed", { jobId, error }, onProgress);
+          return;
+        }
+      }
+    } catch (error) {
+      if (error instanceof PolymerAbortError) {
+        this.logger.log(`Stopped watching job ${jobId}: aborted`);
+        return;
+      }
+      this.emit("failed", { jobId, error }, onProgress);
+      throw error;
+    }
+  }
+
+  /**
+   * Polling loop shared by `wait` and `watch`
+   *
+   * Queries the job status according to the polling strategy and yields
+   * every result. The consumer decides when the job is finished; the loop
+   * throws a PolymerPollingTimeoutError once the strategy gives up.
+   *
+   * @param {string} jobId - Job ID from the proof request
+   * @param {Object} [options] - Polling options (see `wait`)
+   * @returns {AsyncGenerator<{attempt: number, result: Object}>}
+   */
+  async *poll(jobId, options = {}) {
+    const { signal, onProgress } = options;
+    const settings = resolvePollingSettings(this.config, options);
+    const nextDelay = createPollingStrategy(settings);
+
+    this.logger.log(
+      `Polling for proof completion (${describePollingSettings(settings)})`
+    );
+
+    const key = this.jobKeys.get(jobId);
+    const cached = key ? await this.getCachedProof(key) : null;
+    if (cached && cached.jobId === jobId) {
+      this.logger.log(`Using cached proof for job ${jobId}`);
+      this.jobKeys.delete(jobId);
+      yield { attempt: 0, result: cached.result };
+      return;
+    }
+
+    const startedAt = Date.now();
+
+    for (let attempt = 1; ; attempt++) {
+      this.logger.log(`Polling attempt ${attempt}`);
+
+      const result = await this.queryProofStatus(jobId, { signal, onProgress });
+      this.emit("status", { jobId, attempt, result }, onProgress);
+      await this.recordJobStatus(jobId, result);
+
+      yield { attempt, result };
+
+      const delay = nextDelay(attempt, Date.now() - startedAt);
+      if (delay === null || delay === undefined) {
+        throw new PolymerPollingTimeoutError(jobId, attempt, result);
+      }
+
+      this.logger.log(`Waiting ${delay}ms before next attempt...`);
+      await sleep(delay, signal);
+    }
+  }
+
+  /**
+   * Record a job status in the proof cache and job store, if the job is
+   * tracked there
+   *
+   * @param {string} jobId - The proof job ID
+   * @param {Object} result - The latest `log_queryProof` result
+   */
+  async recordJobStatus(jobId, result) {
+    const store = this.config.jobStore;
+    const key = this.jobKeys.get(jobId);
+    if (!key) {
+      return;
+    }
+
+    const finished = result.status === "complete" || result.status === "error";
+    if (finished) {
+      this.jobKeys.delete(jobId);
+    }
+
+    if (result.status === "complete") {
+      await this.cacheProof(key, jobId, result);
+    }
+
+    if (!store) {
+      return;
+    }
+
+    const record = await store.get(key);
+    if (!record || record.status === result.status) {
+      return;
+    }
+
+    await store.set(key, {
+      ...record,
+      status: result.status,
+      result: result.status === "complete" ? result : null,
+      failureReason: result.failureReason || null,
+      updatedAt: Date.now(),
+    });
+  }
+
+  /**
+   * Look up a completed proof in the cache
+   *
+   * @param {string} key - Job key (see `getJobKey`)
+   * @returns {Promise<Object|null>} `{ jobId, result, expiresAt }` or null
+   */
+  async getCachedProof(key) {
+    if (!this.cache) {
+      return null;
+    }
+
+    const entry = await this.cache.store.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      await this.cache.store.delete(key);
+      return null;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Store a completed proof in the cache
+   *
+   * @param {string} key - Job key (see `getJobKey`)
+   * @param {string} jobId - The proof job ID
+   * @param {Object} result - The completed `log_queryProof` result
+   */
+  async cacheProof(key, jobId, result) {
+    if (!this.cache) {
+      return;
+    }
+
+    const { ttl, store } = this.cache;
+    await store.set(key, {
+      jobId,
+      result,
+      expiresAt: ttl ? Date.now() + ttl : null,
+    });
+  }
+
+  /**
+   * Continue polling every unfinished job in the job store, e.g. after a
+   * process restart
+   *
+   * @param {Object} [options] - Polling options (see `wait`)
+   * @returns {Promise<Object[]>} One `{ record, result, error }` per resumed job
+   */
+  async resumePending(options = {}) {
+    const store = this.config.jobStore;
+    if (!store) {
+      throw new Error("jobStore is not configured");
+    }
+
+    const records = (await store.list()).filter(
+      (record) =>
+        record.jobId &&
+        record.status !== "complete" &&
+        record.status !== "error"
+    );
+
+    this.logger.log(`Resuming ${records.length} pending proof jobs`);
+
+    return Promise.all(
+      records.map(async (record) => {
+        this.jobKeys.set(record.jobId, record.key);
+        this.restoreJobEndpoint(record);
+        try {
+          const result = await this.wait(record.jobId, options);
+          return { record, result, error: null };
+        } catch (error) {
+          return { record, result: null, error };
+        }
+      })
+    );
+  }
+
+  /**
+   * Request and retrieve a Polymer proof for a transaction receipt
+   *
+   * @param {Object} receipt - An ethers.js TransactionReceipt
+   * @param {Object} options - Options for proof generation
+   * @param {string} [options.eventSignature] - The event signature to generate a proof for
+   * @param {number} [options.logIndex] - The log index of the event to generate a proof for
+   * @param {string|Object} [options.event] - Event name, EventFragment, or Contract event / filter to match
+   * @param {Object} [options.interface] - ethers Interface used to resolve an event name
+   * @param {string|string[]} [options.address] - Only match logs emitted by these addresses
+   * @param {Array} [options.topics] - Topic filter, ethers style (null matches anything, arrays match any value)
+   * @param {Function} [options.filter] - Predicate `(log, index) => boolean`
+   * @param {number} [options.nth] - Zero-based occurrence to pick when several logs match
+   * @param {boolean} [options.verify] - If true, check the proof against the receipt log before returning it
+   * @param {number} [options.waitForConfirmations] - Wait until the receipt's block has this many confirmations before requesting
+   * @param {string|boolean} [options.waitForFinality] - Wait until the "finalized" (true) or "safe" block passes the receipt's block
+   * @param {number} [options.blockPollInterval] - How often to check the source chain while waiting in ms (default: config.interval)
+   * @param {boolean} [options.returnJob] - If true, returns the job object instead of the proof
+   * @param {AbortSignal} [options.signal] - Signal to cancel the request and stop polling
+   * @param {Function} [options.onProgress] - Receives lifecycle events for this proof
+   * @returns {Promise<Object>} The proof result or the job object
+   *
+   * Any other option is passed to `wait` (maxAttempts, interval, pollingStrategy, ...).
+   */
+  async proveReceipt(receipt, options = {}) {
+    throwIfAborted(options.signal);
+
+    const { srcChainId, srcBlockNumber, txIndex } = await this.getReceiptSource(
+      receipt
+    );
+
+    const {
+      returnJob = false,
+      eventSignature,
+      logIndex,
+      event,
+      interface: iface,
+      address,
+      topics,
+      filter,
+      nth,
+      verify = false,
+      waitForConfirmations,
+      waitForFinality,
+      blockPollInterval,
+      signal,
+      onProgress,
+      ...waitOptions
+    } = options;
+
+    const localLogIndex = await this.selectReceiptLog(receipt, {
+      eventSignature,
+      logIndex,
+      event,
+      interface: iface,
+      address,
+      topics,
+      filter,
+      nth,
+    });
+
+    this.logger.log("Transaction receipt details:", {
+      srcChainId,
+      srcBlockNumber,
+      txIndex,
+      localLogIndex,
+      transactionHash: receipt.hash,
+    });
+
+    await this.waitForSourceBlock(receipt, {
+      confirmations: waitForConfirmations,
+      finality: waitForFinality,
+      interval: blockPollInterval,
+      signal,
+      onProgress,
+    });
+
+    // Request the proof
+    const jobId = await this.requestProof({
+      srcChainId,
+      srcBlockNumber,
+      txIndex,
+      logIndex: localLogIndex,
+      signal,
+      onProgress,
+    });
+
+    this.logger.log("Proof job created with ID:", jobId);
+
+    if (returnJob) {
+      return { jobId, receipt };
+    }
+
+    // Poll for proof completion
+    const result = await this.wait(jobId, {
+      ...waitOptions,
+      signal,
+      onProgress,
+    });
+
+    if (verify) {
+      const { valid, mismatches, decoded } = verifyProofMatchesReceipt(
+        result,
+        receipt,
+        { logIndex: localLogIndex, chainId: srcChainId }
+      );
+      if (!valid) {
+        throw new PolymerProofMismatchError(mismatches, decoded);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Prove a log of a transaction given only its chain and hash
+   *
+   * The receipt is fetched through the provider registered for the chain
+   * (see the `providers` option and `registerProvider`).
+   *
+   * @param {Object} params - Transaction and proof options
+   * @param {number|bigint} params.chainId - Source chain ID
+   * @param {string} params.txHash - Transaction hash
+   * @returns {Promise<Object>} The proof result or the job object
+   *
+   * Any other option is passed to `proveReceipt` (eventSignature, logIndex, returnJob, ...).
+   */
+  async proveTransaction(params) {
+    const { chainId, txHash, ...proofOptions } = params;
+
+    if (chainId === undefined || chainId === null || !txHash) {
+      throw new Error("chainId and txHash are required");
+    }
+    throwIfAborted(proofOptions.signal);
+
+    const provider = this.getProvider(chainId);
+    const srcChainId = Number(chainId);
+
+    const network = await provider.getNetwork();
+    if (Number(network.chainId) !== srcChainId) {
+      throw new PolymerError(
+        `Provider registered for chain ${srcChainId} is connected to chain ${network.chainId}`
+      );
+    }
+
+    const receipt = await withSignal(
+      provider.getTransactionReceipt(txHash),
+      proofOptions.signal
+    );
+    if (!receipt) {
+      throw new PolymerError(
+        `Transaction ${txHash} not found or not yet mined on chain ${srcChainId}`
+      );
+    }
+
+    return this.proveReceipt(receipt, proofOptions);
+  }
+
+  /**
+   * Register the provider used to read a source chain
+   *
+   * @param {number|bigint} chainId - Source chain ID
+   * @param {Object} provider - ethers.js provider connected to that chain
+   * @returns {PolymerClient} This client, for chaining
+   */
+  registerProvider(chainId, provider) {
+    this.config.providers[Number(chainId)] = provider;
+    return this;
+  }
+
+  /**
+   * Get the registered provider of a supported source chain
+   *
+   * @param {number|bigint} chainId - Source chain ID
+   * @returns {Object} The ethers.js provider
+   */
+  getProvider(chainId) {
+    const key = Number(chainId);
+    const supportedChains = this.getSupportedChains();
+    if (!supportedChains.includes(key)) {
+      throw new PolymerUnsupportedChainError(key, supportedChains);
+    }
+
+    const provider = this.config.providers[key];
+    if (!provider) {
+      throw new PolymerError(
+        `No provider registered for chain ${key}; pass it in providers or call registerProvider`
+      );
+    }
+
+    return provider;
+  }
+
+  /**
+   * List the source chain IDs the configured Polymer API can prove logs from
+   *
+   * Uses `supportedChains` if configured, else the chains of the network
+   * preset matching `network` or the endpoints. Custom endpoints get the
+   * chains of all presets.
+   *
+   * @returns {number[]} Supported chain IDs
+   */
+  getSupportedChains() {
+    if (this.config.supportedChains) {
+      return this.config.supportedChains.map(Number);
+    }
+
+    const presets = Object.values(POLYMER_NETWORKS);
+    const matching = this.config.network
+      ? [POLYMER_NETWORKS[this.config.network]]
+      : presets.filter((preset) =>
+          this.config.endpoints.includes(preset.apiUrl)
+        );
+
+    return [
+      ...new Set(
+        (matching.length > 0 ? matching : presets).flatMap(
+          (preset) => preset.chainIds
+        )
+      ),
+    ];
+  }
+
+  /**
+   * Wait for a sent transaction to be mined, then prove one of its logs
+   *
+   * @param {Object} tx - An ethers.js TransactionResponse or ContractTransactionResponse
+   * @param {Object} [options] - Proof options (see `proveReceipt`) plus:
+   * @param {number} [options.confirmations] - Confirmations to wait for before requesting (default: 1)
+   * @param {number} [options.receiptTimeout] - Give up waiting for the receipt after this many ms (default: no timeout)
+   * @param {boolean} [options.allowRepriced] - Prove the replacement when the transaction was only re-sent with a different fee (default: true)
+   * @returns {Promise<Object>} The proof result or the job object
+   */
+  async proveTransactionResponse(tx, options = {}) {
+    const { confirmations, receiptTimeout, allowRepriced, ...proofOptions } =
+      options;
+
+    const receipt = await this.waitForReceipt(tx, {
+      confirmations,
+      timeout: receiptTimeout,
+      allowRepriced,
+      signal: options.signal,
+    });
+
+    return this.proveReceipt(receipt, proofOptions);
+  }
+
+  /**
+   * Wait for a sent transaction's receipt, turning replacements and reverts
+   * into Polymer errors
+   *
+   * @param {Object} tx - An ethers.js TransactionResponse
+   * @param {Object} [options] - Wait options
+   * @param {number} [options.confirmations] - Confirmations to wait for, at least 1 (default: 1)
+   * @param {number} [options.timeout] - Timeout in ms, rejected with the ethers TIMEOUT error (default: none)
+   * @param {boolean} [options.allowRepriced] - Resolve with the replacement's receipt when only the fee changed (default: true)
+   * @param {AbortSignal} [options.signal] - Signal to stop waiting
+   * @returns {Promise<Object>} The mined TransactionReceipt
+   */
+  async waitForReceipt(tx, options = {}) {
+    const {
+      confirmations = 1,
+      timeout,
+      allowRepriced = true,
+      signal,
+    } = options;
+
+    if (!(confirmations >= 1)) {
+      throw new Error("confirmations must be at least 1");
+    }
+
+    this.logger.log(
+      `Waiting for ${confirmations} confirmations of transaction ${tx.hash}`
+    );
+
+    let receipt;
+    try {
+      receipt = await withSignal(tx.wait(confirmations, timeout), signal);
+    } catch (error) {
+      if (error && error.code === "TRANSACTION_REPLACED") {
+        if (error.reason !== "repriced" || !allowRepriced) {
+          throw new PolymerTransactionReplacedError(tx.hash, error);
+        }
+        this.logger.log(`Transaction ${tx.hash} was repriced as ${error.hash}`);
+        receipt = error.receipt;
+      } else if (error && error.code === "CALL_EXCEPTION" && error.receipt) {
+        throw new PolymerTransactionRevertedError(error.receipt, error);
+      } else {
+        throw error;
+      }
+    }
+
+    if (receipt.status === 0) {
+      throw new PolymerTransactionRevertedError(receipt);
+    }
+
+    return receipt;
+  }
+
+  /**
+   * Prove a receipt log and submit the proof to a contract on another chain
+   *
+   * @param {Object} receipt - An ethers.js TransactionReceipt on the source chain
+   * @param {Object} options - Proof options (see `proveReceipt`) plus `destination`
+   * @param {Object} options.destination - Destination call
+   * @param {Object} options.destination.signer - Signer on the destination chain
+   * @param {Object|string} options.destination.contract - ethers Contract or contract address
+   * @param {Array} [options.destination.abi] - Contract ABI, required when `contract` is an address
+   * @param {string} options.destination.method - Contract method to call
+   * @param {Array} [options.destination.args] - Call arguments besides the proof
+   * @param {Function} [options.destination.mapArgs] - `({ proof, result, receipt, args }) => callArgs` to place the proof (default: appended to args)
+   * @param {Object} [options.destination.overrides] - Transaction overrides
+   * @returns {Promise<Object>} `{ proof, transaction }` with the proof result and the destination TransactionResponse
+   */
+  async relayReceipt(receipt, options = {}) {
+    const ethers = this.requireEthers("relayReceipt");
+    const { destination, ...proofOptions } = options;
+
+    if (!destination || !destination.signer || !destination.method) {
+      throw new Error("destination.signer and destination.method are required");
+    }
+
+    const {
+      signer,
+      contract: target,
+      abi,
+      method,
+      args = [],
+      mapArgs = ({ proof, args }) => [...args, proof],
+      overrides = {},
+    } = destination;
+
+    let contract;
+    if (typeof target === "string") {
+      if (!abi) {
+        throw new Error("destination.abi is required with a contract address");
+      }
+      contract = new ethers.Contract(target, abi, signer);
+    } else if (target) {
+      contract = target.connect(signer);
+    } else {
+      throw new Error("destination.contract is required");
+    }
+
+    const result = await this.proveReceipt(receipt, {
+      ...proofOptions,
+      returnJob: false,
+    });
+
+    const callArgs = mapArgs({
+      proof: proofToHex(result),
+      result,
+      receipt,
+      args,
+    });
+    const fn = contract.getFunction(method);
+
+    let gasLimit;
+    try {
+      gasLimit = await fn.estimateGas(...callArgs, overrides);
+    } catch (error) {
+      throw new PolymerRelayError("estimate", result, error);
+    }
+
+    this.logger.log(`Relaying proof to ${method} (gas estimate ${gasLimit})`);
+
+    try {
+      const transaction = await fn.send(...callArgs, {
+        gasLimit,
+        ...overrides,
+      });
+      return { proof: result, transaction };
+    } catch (error) {
+      throw new PolymerRelayError("send", result, error);
+    }
+  }
+
+  /**
+   * Request proofs for many logs, waiting for all of them together
+   *
+   * Requests are sent with at most `concurrency` in flight, and each job is
+   * polled as soon as its request returns. Failures are reported per item,
+   * so one bad log does not reject the whole batch.
+   *
+   * @param {Object[]} items - Proof parameters (see `requestProof`)
+   * @param {Object} [options] - Batch options
+   * @param {number} [options.concurrency] - Maximum concurrent requests (default: config.batchConcurrency)
+   * @param {boolean} [options.returnJob] - If true, only request the jobs and skip waiting
+   * @param {AbortSignal} [options.signal] - Signal to cancel the whole batch
+   * @param {Function} [options.onProgress] - Receives lifecycle events for every item
+   * @returns {Promise<Object[]>} One `{ params, jobId, result, error }` per item, in order
+   *
+   * Any other option is passed to `wait` (maxAttempts, interval, pollingStrategy, ...).
+   */
+  async requestProofs(items, options = {}) {
+    const {
+      concurrency = this.config.batchConcurrency,
+      returnJob = false,
+      signal,
+      onProgress,
+      ...waitOptions
+    } = options;
+
+    this.logger.log(
+      `Requesting ${items.length} proofs (concurrency ${concurrency})`
+    );
+
+    const limit = createConcurrencyLimit(concurrency);
+
+    return Promise.all(
+      items.map(async (params) => {
+        const entry = { params, jobId: null, result: null, error: null };
+
+        try {
+          entry.jobId = await limit(() =>
+            this.requestProof({ ...params, signal, onProgress })
+          );
+
+          if (!returnJob) {
+            entry.result = await this.wait(entry.jobId, {
+              ...waitOptions,
+              signal,
+              onProgress,
+            });
+          }
+        } catch (error) {
+          entry.error = error;
+        }
+
+        return entry;
+      })
+    );
+  }
+
+  /**
+   * Prove every matching log of one or more transaction receipts
+   *
+   * @param {Object|Object[]} receipts - An ethers.js TransactionReceipt or an array of them
+   * @param {Object} options - Options for proof generation
+   * @param {string} [options.eventSignature] - Prove every log with this event signature
+   * @param {number[]} [options.logIndexes] - Prove these local log indexes instead
+   * @param {number} [options.waitForConfirmations] - Wait for confirmations first, see `proveReceipt`
+   * @param {string|boolean} [options.waitForFinality] - Wait for finality first, see `proveReceipt`
+   *
+   * Logs can also be selected with `event`, `interface`, `address`, `topics`
+   * and `filter`, see `proveReceipt`; every matching log is proven.
+   * @returns {Promise<Object[]>} One `{ receipt, logIndex, params, jobId, result, error }` per log, or a single entry with a null `logIndex` for a receipt whose logs could not be selected
+   *
+   * Any other option is passed to `requestProofs`.
+   */
+  async proveReceiptLogs(receipts, options = {}) {
+    const {
+      eventSignature,
+      logIndexes,
+      event,
+      interface: iface,
+      address,
+      topics,
+      filter,
+      waitForConfirmations,
+      waitForFinality,
+      blockPollInterval,
+      ...batchOptions
+    } = options;
+    const selector = {
+      eventSignature,
+      event,
+      interface: iface,
+      address,
+      topics,
+      filter,
+    };
+
+    if (!hasLogSelector(selector) && !Array.isArray(logIndexes)) {
+      throw new Error(
+        "eventSignature, event, address, topics, filter or logIndexes is required"
+      );
+    }
+
+    // A receipt whose logs cannot be selected or whose block does not
+    // become final, or an index it does not have, fails on its own entries,
+    // like a failed proof
+    const targets = [];
+
+    for (const receipt of [].concat(receipts)) {
+      let source;
+      let indexes;
+      try {
+        source = await this.getReceiptSource(receipt);
+        indexes = hasLogSelector(selector)
+          ? await this.findReceiptLogs(receipt, selector)
+          : logIndexes;
+      } catch (error) {
+        targets.push({ receipt, logIndex: null, params: null, error });
+        continue;
+      }
+
+      let blockError = null;
+      try {
+        await this.waitForSourceBlock(receipt, {
+          confirmations: waitForConfirmations,
+          finality: waitForFinality,
+          interval: blockPollInterval,
+          signal: batchOptions.signal,
+          onProgress: batchOptions.onProgress,
+        });
+      } catch (error) {
+        blockError = error;
+      }
+
+      for (const logIndex of indexes) {
+        if (blockError) {
+          targets.push({ receipt, logIndex, params: null, error: blockError });
+        } else if (
+          !Number.isInteger(logIndex) ||
+          logIndex < 0 ||
+          logIndex >= receipt.logs.length
+        ) {
+          const error = new PolymerLogNotFoundError(
+            `Log index ${logIndex} out of range (receipt has ${receipt.logs.length} logs)`,
+            { transactionHash: receipt.hash, logIndex }
+          );
+          targets.push({ receipt, logIndex, params: null, error });
+        } else {
+          targets.push({
+            receipt,
+            logIndex,
+            params: { ...source, logIndex },
+          });
+        }
+      }
+    }
+
+    const resolved = targets.filter((target) => !target.error);
+    const results = await this.requestProofs(
+      resolved.map((target) => target.params),
+      batchOptions
+    );
+    resolved.forEach((target, i) => Object.assign(target, results[i]));
+
+    return targets.map((target) => ({
+      jobId: null,
+      result: null,
+      error: null,
+      ...target,
+    }));
+  }
+
+  /**
+   * Request and retrieve a Polymer proof for an ethers.js Log or EventLog
+   *
+   * `log.index` is the block-wide position of the log, so the transaction
+   * receipt is fetched through the log's provider to find its index within
+   * the receipt.
+   *
+   * @param {Object} log - An ethers.js Log, e.g. from `queryFilter` or an event listener
+   * @param {Object} [options] - Options for `proveReceipt`, except the log selectors
+   * @returns {Promise<Object>} The proof result or the job object
+   */
+  async proveLog(log, options = {}) {
+    const { receipt, logIndex } = await this.resolveLogSource(log);
+    return this.proveReceipt(receipt, { ...options, logIndex });
+  }
+
+  /**
+   * Prove many ethers.js Logs, fetching each transaction receipt once
+   *
+   * @param {Object[]} logs - ethers.js Logs or EventLogs
+   * @param {Object} [options] - Options for `requestProofs`, plus `waitForConfirmations`, `waitForFinality` and `blockPollInterval` (see `proveReceipt`)
+   * @returns {Promise<Object[]>} One `{ log, receipt, logIndex, params, jobId, result, error }` per log, in order
+   */
+  async proveLogs(logs, options = {}) {
+    const {
+      waitForConfirmations,
+      waitForFinality,
+      blockPollInterval,
+      ...batchOptions
+    } = options;
+    const receipts = new Map();
+
+    const targets = [];
+    for (const log of logs) {
+      const target = { log, receipt: null, logIndex: null, params: null };
+      try {
+        const source = await this.resolveLogSource(log, receipts);
+        target.receipt = source.receipt;
+        target.logIndex = source.logIndex;
+      } catch (error) {
+        target.error = error;
+      }
+      targets.push(target);
+    }
+
+    // A receipt whose block does not become final fails the entries of
+    // its logs only
+    const blockErrors = new Map();
+    const found = targets.filter((target) => !target.error);
+    for (const receipt of new Set(found.map((target) => target.receipt))) {
+      try {
+        await this.waitForSourceBlock(receipt, {
+          confirmations: waitForConfirmations,
+          finality: waitForFinality,
+          interval: blockPollInterval,
+          signal: batchOptions.signal,
+          onProgress: batchOptions.onProgress,
+        });
+      } catch (error) {
+        blockErrors.set(receipt, error);
+      }
+    }
+    for (const target of found) {
+      if (blockErrors.has(target.receipt)) {
+        target.error = blockErrors.get(target.receipt);
+        continue;
+      }
+      try {
+        const source = await this.getReceiptSource(target.receipt);
+        target.params = { ...source, logIndex: target.logIndex };
+      } catch (error) {
+        target.error = error;
+      }
+    }
+
+    const resolved = targets.filter((target) => !target.error);
+    const results = await this.requestProofs(
+      resolved.map((target) => target.params),
+      batchOptions
+    );
+    resolved.forEach((target, i) => Object.assign(target, results[i]));
+
+    return targets.map((target) => ({
+      jobId: null,
+      result: null,
+      error: null,
+      ...target,
+    }));
+  }
+
+  /**
+   * Find the receipt and receipt-local index of an ethers.js Log
+   *
+   * @param {Object} log - An ethers.js Log
+   * @param {Map} [receipts] - Receipt promises by transaction hash, shared between calls
+   * @returns {Promise<Object>} `{ receipt, logIndex }`
+   */
+  async resolveLogSource(log, receipts = new Map()) {
+    if (log.removed) {
+      throw new PolymerLogNotFoundError(
+        `Log ${log.index} of transaction ${log.transactionHash} was removed by a reorg`,
+        { transactionHash: log.transactionHash, logIndex: log.index }
+      );
+    }
+
+    const provider = log.provider;
+    if (!provider) {
+      throw new Error("Provider not available in log");
+    }
+
+    if (!receipts.has(log.transactionHash)) {
+      receipts.set(
+        log.transactionHash,
+        provider.getTransactionReceipt(log.transactionHash)
+      );
+    }
+    const receipt = await receipts.get(log.transactionHash);
+
+    if (!receipt || receipt.blockHash !== log.blockHash) {
+      throw new PolymerLogNotFoundError(
+        `Transaction ${log.transactionHash} is no longer in block ${log.blockNumber}`,
+        { transactionHash: log.transactionHash, logIndex: log.index }
+      );
+    }
+
+    const logIndex = receipt.logs.findIndex(
+      (candidate) => candidate.index === log.index
+    );
+    if (logIndex === -1) {
+      throw new PolymerLogNotFoundError(
+        `Log ${log.index} not found in receipt of ${log.transactionHash}`,
+        { transactionHash: log.transactionHash, logIndex: log.index }
+      );
+    }
+
+    return { receipt, logIndex };
+  }
+
+  /**
+   * Pick the single receipt-local log index described by a selector
+   *
+   * An explicit `logIndex` wins. Otherwise the logs matching the selector
+   * are found and `nth` picks one of them; without `nth`, several matches
+   * are an error, except for a plain `eventSignature` which keeps its
+   * historical first-match behavior.
+   *
+   * @param {Object} receipt - An ethers.js TransactionReceipt
+   * @param {Object} selector - Log selection options (see `proveReceipt`)
+   * @returns {Promise<number>} The local log index
+   */
+  async selectReceiptLog(receipt, selector) {
+    const { logIndex, nth } = selector;
+
+    if (typeof logIndex === "number") {
+      if (logIndex < 0) {
+        throw new Error("logIndex must be non-negative");
+      }
+      if (logIndex >= receipt.logs.length) {
+        throw new PolymerLogNotFoundError(
+          `Log index ${logIndex} out of range (receipt has ${receipt.logs.length} logs)`,
+          { transactionHash: receipt.hash, logIndex }
+        );
+      }
+      return logIndex;
+    }
+
+    if (!hasLogSelector(selector)) {
+      throw new Error(
+        "eventSignature, event, address, topics, filter or logIndex is required"
+      );
+    }
+
+    const matches = await this.findReceiptLogs(receipt, selector);
+    const description = describeLogSelector(selector);
+    const details = {
+      transactionHash: receipt.hash,
+      eventSignature: selector.eventSignature,
+    };
+
+    if (matches.length === 0) {
+      throw new PolymerLogNotFoundError(
+        `No log matching ${description} found in transaction receipt`,
+        { ...details, candidates: summarizeLogs(receipt.logs) }
+      );
+    }
+
+    if (nth !== undefined && nth !== null) {
+      if (nth < 0 || nth >= matches.length) {
+        throw new PolymerLogNotFoundError(
+          `Match ${nth} requested but only ${matches.length} logs match ${description}`,
+          { ...details, candidates: summarizeLogs(receipt.logs, matches) }
+        );
+      }
+      return matches[nth];
+    }
+
+    const onlyEventSignature = Object.keys(selector).every(
+      (key) =>
+        key === "eventSignature" ||
+        selector[key] === undefined ||
+        selector[key] === null
+    );
+
+    if (matches.length > 1 && !onlyEventSignature) {
+      throw new PolymerAmbiguousLogError(
+        description,
+        summarizeLogs(receipt.logs, matches),
+        receipt.hash
+      );
+    }
+
+    return matches[0];
+  }
+
+  /**
+   * Find every receipt-local log index matching a selector
+   *
+   * @param {Object} receipt - An ethers.js TransactionReceipt
+   * @param {Object} selector - Log selection options (see `proveReceipt`)
+   * @returns {Promise<number[]>} Matching local log indexes
+   */
+  async findReceiptLogs(receipt, selector) {
+    const { eventSignature, event, address, topics, filter } = selector;
+    const topicFilter = topics ? topics.slice() : [];
+
+    if (event) {
+      const eventTopics = await this.resolveEventTopics(
+        event,
+        selector.interface
+      );
+      eventTopics.forEach((topic, i) => {
+        if (topicFilter[i] === undefined || topicFilter[i] === null) {
+          topicFilter[i] = topic;
+        }
+      });
+    }
+
+    if (
+      eventSignature &&
+      (topicFilter[0] === undefined || topicFilter[0] === null)
+    ) {
+      topicFilter[0] = this.getEventTopic(eventSignature);
+    }
+
+    const addresses = address
+      ? [].concat(address).map((value) => value.toLowerCase())
+      : null;
+
+    return receipt.logs
+      .map((log, index) => {
+        if (addresses && !addresses.includes(log.address.toLowerCase())) {
+          return -1;
+        }
+        if (!matchesTopicFilter(log.topics, topicFilter)) {
+          return -1;
+        }
+        if (filter && !filter(log, index)) {
+          return -1;
+        }
+        return index;
+      })
+      .filter((index) => index !== -1);
+  }
+
+  /**
+   * Resolve an event description into an ethers-style topic filter
+   *
+   * @param {string|Object} event - Event signature or name, EventFragment, Contract event or prepared filter
+   * @param {Object} [iface] - ethers Interface used to resolve an event name
+   * @returns {Promise<Array>} Topic filter, starting with the event topic
+   */
+  async resolveEventTopics(event, iface) {
+    if (typeof event === "string") {
+      if (event.includes("(")) {
+        return [this.getEventTopic(event)];
+      }
+      if (!iface) {
+        throw new Error(
+          `interface is required to resolve event name "${event}"`
+        );
+      }
+      const fragment = iface.getEvent(event);
+      if (!fragment) {
+        throw new PolymerError(`Event "${event}" not found in interface`);
+      }
+      return [fragment.topicHash];
+    }
+
+    // Prepared filters such as `contract.filters.Transfer(from, to)`
+    if (typeof event.getTopicFilter === "function") {
+      return event.getTopicFilter();
+    }
+
+    // Contract events such as `contract.getEvent("Transfer")`
+    if (event.fragment && event.fragment.topicHash) {
+      return [event.fragment.topicHash];
+    }
+
+    // EventFragment
+    if (event.topicHash) {
+      return [event.topicHash];
+    }
+
+    throw new Error("Unsupported event selector");
+  }
+
+  /**
+   * Resolve the Polymer source coordinates of a transaction receipt
+   *
+   * @param {Object} receipt - An ethers.js TransactionReceipt
+   * @returns {Promise<Object>} `{ srcChainId, srcBlockNumber, txIndex }`
+   */
+  async getReceiptSource(receipt) {
+    // Get chainId from the provider
+    const provider = receipt.provider;
+    if (!provider) {
+      throw new Error("Provider not available in transaction receipt");
+    }
+
+    const network = await provider.getNetwork();
+    const chainId = network.chainId;
+    if (!chainId) {
+      throw new Error("Chain ID not found in provider");
+    }
+
+    return {
+      srcChainId: Number(chainId),
+      srcBlockNumber: receipt.blockNumber,
+      txIndex: receipt.index,
+    };
+  }
+
+  /**
+   * Wait until the source chain is far enough past a receipt's block
+   *
+   * Polls the receipt's provider until the block has `confirmations`
+   * confirmations and / or the `finality` block tag has reached it, then
+   * checks that the block is still canonical. Does nothing when neither is
+   * requested.
+   *
+   * @param {Object} receipt - An ethers.js TransactionReceipt
+   * @param {Object} [options] - Wait options
+   * @param {number} [options.confirmations] - Required confirmations, counting the receipt's block
+   * @param {string|boolean} [options.finality] - "finalized" (or true) or "safe"
+   * @param {number} [options.interval] - Polling interval in ms (default: config.interval)
+   * @param {AbortSignal} [options.signal] - Signal to stop waiting
+   * @param {Function} [options.onProgress] - Receives `block` events while waiting
+   * @returns {Promise<void>}
+   */
+  async waitForSourceBlock(receipt, options = {}) {
+    const {
+      confirmations = 0,
+      finality = false,
+      interval = this.config.interval,
+      signal,
+      onProgress,
+    } = options;
+    if (!confirmations && !finality) {
+      return;
+    }
+
+    const tag = finality === true ? "finalized" : finality;
+    if (tag && tag !== "finalized" && tag !== "safe") {
+      throw new Error(
+        `waitForFinality must be "finalized" or "safe", got "${tag}"`
+      );
+    }
+
+    const provider = receipt.provider;
+    if (!provider) {
+      throw new Error("Provider not available in transaction receipt");
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      throwIfAborted(signal);
+
+      const [head, finalized] = await Promise.all([
+        confirmations ? provider.getBlockNumber() : null,
+        tag ? provider.getBlock(tag) : null,
+      ]);
+      const current = {
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        attempt,
+        confirmations: head === null ? null : head - receipt.blockNumber + 1,
+        finalizedBlock: finalized ? finalized.number : null,
+      };
+
+      const confirmed =
+        !confirmations || current.confirmations >= confirmations;
+      const final = !tag || current.finalizedBlock >= receipt.blockNumber;
+      if (confirmed && final) {
+        break;
+      }
+
+      this.logger.log(
+        `Waiting for block ${receipt.blockNumber}: ${
+          current.confirmations
+        }/${confirmations} confirmations, ${tag || "no"} block ${
+          current.finalizedBlock
+        }`
+      );
+      this.emit("block", current, onProgress);
+      await sleep(interval, signal);
+    }
+
+    // Make sure the transaction is still where the receipt says it is
+    const block = await provider.getBlock(receipt.blockNumber);
+    if (!block || block.hash !== receipt.blockHash) {
+      const currentReceipt = await provider.getTransactionReceipt(receipt.hash);
+      throw new PolymerReorgError(
+        receipt,
+        block ? block.hash : null,
+        currentReceipt
+      );
+    }
+  }
+
+  /**
+   * Compute the topic hash of an event signature
+   *
+   * @param {string} eventSignature - e.g. "Transfer(address,address,uint256)"
+   * @returns {string} The topic hash
+   */
+  getEventTopic(eventSignature) {
+    return this.requireEthers("eventSignature").id(eventSignature);
+  }
+
+  /**
+   * Get the CrossL2Prover contract address for a destination chain
+   *
+   * @param {number|bigint} chainId - Destination chain ID
+   * @returns {string} The prover contract address
+   */
+  getProverAddress(chainId) {
+    const key = Number(chainId);
+    const address =
+      this.config.proverAddresses[key] || CROSS_L2_PROVER_ADDRESSES[key];
+
+    if (!address) {
+      throw new PolymerError(
+        `No CrossL2Prover address known for chain ${key}; pass address or configure proverAddresses`
+      );
+    }
+
+    return address;
+  }
+
+  /**
+   * Validate a proof on the destination chain with a static call to the
+   * CrossL2Prover contract
+   *
+   * @param {string|Uint8Array|Object} proof - The proof or a `wait` result
+   * @param {Object} options - Destination options
+   * @param {Object} [options.provider] - Provider for the destination chain
+   * @param {Object} [options.signer] - Signer for the destination chain, used instead of provider
+   * @param {number} [options.chainId] - Destination chain ID (default: read from the provider)
+   * @param {string} [options.address] - Prover address (default: from the registry)
+   * @param {Object} [options.interface] - ethers Interface used to parse the proven event
+   * @returns {Promise<Object>} `{ chainId, emittingContract, topics, data, event }`
+   */
+  async validateOnDestination(proof, options = {}) {
+    const ethers = this.requireEthers("validateOnDestination");
+    const runner = options.signer || options.provider;
+
+    if (!runner) {
+      throw new Error("provider or signer is required");
+    }
+
+    let { chainId, address } = options;
+    if (!address) {
+      if (chainId === undefined) {
+        const provider = runner.provider || runner;
+        chainId = (await provider.getNetwork()).chainId;
+      }
+      address = this.getProverAddress(chainId);
+    }
+
+    const prover = new ethers.Contract(address, CROSS_L2_PROVER_ABI, runner);
+    const [srcChainId, emittingContract, topics, data] =
+      await prover.validateEvent.staticCall(proofToHex(proof));
+
+    const topicList = [];
+    for (let i = 2; i < topics.length; i += 64) {
+      topicList.push("0x" + topics.slice(i, i + 64));
+    }
+
+    const event = options.interface
+      ? options.interface.parseLog({ topics: topicList, data })
+      : null;
+
+    return {
+      chainId: Number(srcChainId),
+      emittingContract,
+      topics: topicList,
+      data,
+      event,
+    };
+  }
+
+  /**
+   * Return the ethers library, failing clearly when it was not configured
+   *
+   * @param {string} feature - Name of the feature that needs ethers
+   * @returns {Object} The ethers.js library
+   */
+  requireEthers(feature) {
+    if (!this.ethers) {
+      throw new Error(
+        `ethers is required in the client config to use ${feature}`
+      );
+    }
+    return this.ethers;
+  }
+
+  /**
+   * Start a service that proves every new log matching a filter
+   *
+   * @param {Object} options - Auto prover options (see PolymerAutoProver)
+   * @returns {PolymerAutoProver} The running auto prover
+   */
+  createAutoProver(options) {
+    return new PolymerAutoProver(this, options).start();
+  }
+}
+
+/**
+ * Watches a source chain for logs matching a filter and proves each one
+ *
+ * Block ranges are polled with `getLogs` up to the block with the required
+ * confirmations. A range is only checkpointed once all of its logs are
+ * proven or have run out of retries, so after a restart the prover picks
+ * up where it left off. If the last checkpointed block is no longer
+ * canonical, the prover rewinds `reorgDepth` blocks and scans them again;
+ * logs it already proved in the same block are skipped.
+ *
+ * Completed proofs go to `onProof`, or, without it, to the async iterator.
+ */
+class PolymerAutoProver {
+  /**
+   * @param {PolymerClient} client - Client used to request proofs
+   * @param {Object} options - Auto prover options
+   * @param {Object} options.provider - ethers.js provider of the source chain
+   * @param {Object} options.filter - Log filter `{ address, topics }`
+   * @param {Function} [options.onProof] - Called with `{ log, receipt, logIndex, params, jobId, result }` for every proof
+   * @param {Function} [options.onError] - Called with `(error, log)` when a log cannot be proven or polling fails (log is null then)
+   * @param {number} [options.fromBlock] - First block to scan when there is no checkpoint (default: the confirmed head)
+   * @param {number} [options.confirmations] - Confirmations a block needs before it is scanned (default: 1)
+   * @param {number} [options.pollInterval] - Delay between scans in ms (default: config.interval)
+   * @param {number} [options.maxBlockRange] - Maximum blocks per `getLogs` call (default: 1000)
+   * @param {number} [options.concurrency] - Maximum proofs in progress (default: config.batchConcurrency)
+   * @param {number} [options.retries] - Extra attempts for a log whose proof failed (default: 2)
+   * @param {number} [options.reorgDepth] - Blocks to rescan when a reorg is detected (default: 12)
+   * @param {Object} [options.checkpointStore] - Store with async `get(key)` / `set(key, value)`, e.g. a job store
+   * @param {string} [options.checkpointKey] - Key of the checkpoint in the store (default: "polymer-auto-prover")
+   *
+   * Any other option is passed to `proveLogs` (polling settings, waitForFinality, ...).
+   */
+  constructor(client, options = {}) {
+    const {
+      provider,
+      filter,
+      onProof = null,
+      onError = null,
+      fromBlock = null,
+      confirmations = 1,
+      pollInterval = client.config.interval,
+      maxBlockRange = 1000,
+      concurrency = client.config.batchConcurrency,
+      retries = 2,
+      reorgDepth = 12,
+      checkpointStore = null,
+      checkpointKey = "polymer-auto-prover",
+      ...proofOptions
+    } = options;
+
+    if (!provider || !filter) {
+      throw new Error("provider and filter are required");
+    }
+    if (!(confirmations >= 1)) {
+      throw new Error("confirmations must be at least 1");
+    }
+    assertConcurrency(concurrency, "concurrency");
+
+    this.client = client;
+    this.provider = provider;
+    this.filter = filter;
+    this.onProof = onProof;
+    this.onError = onError;
+    this.settings = {
+      fromBlock,
+      confirmations,
+      pollInterval,
+      maxBlockRange,
+      concurrency,
+      retries,
+      reorgDepth,
+      checkpointStore,
+      checkpointKey,
+    };
+    this.proofOptions = proofOptions;
+    // Last fully processed block: { blockNumber, blockHash }
+    this.checkpoint = null;
+    this.running = false;
+    this.loop = null;
+    this.controller = null;
+    // Logs already proven, so rescans after a reorg skip them
+    this.proven = new Set();
+    // Proofs waiting for the async iterator, and iterators waiting for proofs
+    this.buffer = [];
+    this.waiters = [];
+  }
+
+  /**
+   * Start scanning, if not running already
+   *
+   * @returns {PolymerAutoProver} This auto prover
+   */
+  start() {
+    if (!this.running) {
+      this.running = true;
+      this.controller = new AbortController();
+      this.loop = this.run();
+    }
+    return this;
+  }
+
+  /**
+   * Stop scanning and abort proofs in progress
+   *
+   * Logs of the current range are not checkpointed, so they are proven
+   * again on the next start.
+   *
+   * @returns {Promise<void>} Resolves once the scan loop has exited
+   */
+  async stop() {
+    if (!this.running) {
+      return this.loop;
+    }
+    this.running = false;
+    this.controller.abort();
+    await this.loop;
+  }
+
+  /**
+   * Scan loop, until stopped
+   */
+  async run() {
+    const { pollInterval } = this.settings;
+    const signal = this.controller.signal;
+
+    try {
+      if (this.settings.checkpointStore) {
+        this.checkpoint =
+          (await this.settings.checkpointStore.get(
+            this.settings.checkpointKey
+          )) || null;
+      }
+
+      while (this.running) {
+        try {
+          await this.tick(signal);
+        } catch (error) {
+          if (!this.running) {
+            break;
+          }
+          this.handleError(error, null);
+        }
+
+        await sleep(pollInterval, signal).catch(() => {});
+      }
+    } catch (error) {
+      this.handleError(error, null);
+    } finally {
+      this.running = false;
+      this.waiters.forEach((resolve) =>
+        resolve({ value: undefined, done: true })
+      );
+      this.waiters = [];
+    }
+  }
+
+  /**
+   * Scan every confirmed block past the checkpoint
+   *
+   * @param {AbortSignal} signal - Aborted on stop
+   */
+  async tick(signal) {
+    const { confirmations, maxBlockRange, fromBlock } = this.settings;
+    const confirmedHead =
+      (await this.provider.getBlockNumber()) - confirmations + 1;
+
+    if (!this.checkpoint) {
+      const start = fromBlock !== null ? fromBlock : confirmedHead;
+      this.checkpoint = { blockNumber: start - 1, blockHash: null };
+    }
+
+    await this.detectReorg();
+
+    while (this.running && this.checkpoint.blockNumber < confirmedHead) {
+      const from = this.checkpoint.blockNumber + 1;
+      const to = Math.min(confirmedHead, from + maxBlockRange - 1);
+
+      const logs = await this.provider.getLogs({
+        ...this.filter,
+        fromBlock: from,
+        toBlock: to,
+      });
+      this.client.logger.log(
+        `Auto prover found ${logs.length} logs in blocks ${from}-${to}`
+      );
+
+      await this.proveRange(logs, signal);
+      if (!this.running) {
+        return;
+      }
+
+      const block = await this.provider.getBlock(to);
+      await this.saveCheckpoint({
+        blockNumber: to,
+        blockHash: block ? block.hash : null,
+      });
+    }
+  }
+
+  /**
+   * Rewind the checkpoint if its block is no longer canonical
+   */
+  async detectReorg() {
+    const { blockNumber, blockHash } = this.checkpoint;
+    if (!blockHash) {
+      return;
+    }
+
+    const block = await this.provider.getBlock(blockNumber);
+    if (block && block.hash === blockHash) {
+      return;
+    }
+
+    const rewindTo = Math.max(blockNumber - this.settings.reorgDepth, -1);
+    this.client.logger.log(
+      `Auto prover detected a reorg at block ${blockNumber}, rescanning from block ${
+        rewindTo + 1
+      }`
+    );
+    await this.saveCheckpoint({ blockNumber: rewindTo, blockHash: null });
+  }
+
+  /**
+   * Prove the logs of one block range, retrying failed proofs
+   *
+   * @param {Object[]} logs - ethers.js Logs
+   * @param {AbortSignal} signal - Aborted on stop
+   */
+  async proveRange(logs, signal) {
+    let pending = logs.filter(
+      (log) => !log.removed && !this.proven.has(getLogKey(log))
+    );
+
+    for (let attempt = 0; pending.length > 0 && this.running; attempt++) {
+      const results = await this.client.proveLogs(pending, {
+        ...this.proofOptions,
+        concurrency: this.settings.concurrency,
+        signal,
+      });
+
+      const failed = [];
+      for (const entry of results) {
+        if (!entry.error) {
+          this.remember(entry.log);
+          await this.deliver(entry);
+        } else if (entry.error instanceof PolymerAbortError) {
+          continue;
+        } else if (
+          attempt < this.settings.retries &&
+          !(entry.error instanceof PolymerLogNotFoundError)
+        ) {
+          failed.push(entry.log);
+        } else {
+          this.handleError(entry.error, entry.log);
+        }
+      }
+      pending = failed;
+    }
+  }
+
+  /**
+   * Hand a completed proof to `onProof` or the async iterator
+   *
+   * @param {Object} entry - `{ log, receipt, logIndex, params, jobId, result }`
+   */
+  async deliver(entry) {
+    const { log, receipt, logIndex, params, jobId, result } = entry;
+    const proof = { log, receipt, logIndex, params, jobId, result };
+
+    if (this.onProof) {
+      try {
+        await this.onProof(proof);
+      } catch (error) {
+        this.handleError(error, log);
+      }
+    } else if (this.waiters.length > 0) {
+      this.waiters.shift()({ value: proof, done: false });
+    } else {
+      this.buffer.push(proof);
+    }
+  }
+
+  /**
+   * Report an error to `onError`, or log it
+   *
+   * @param {Error} error - The error
+   * @param {Object|null} log - The log that failed, if any
+   */
+  handleError(error, log) {
+    if (!this.onError) {
+      this.client.logger.error("Auto prover error:", error);
+      return;
+    }
+    try {
+      this.onError(error, log);
+    } catch (listenerError) {
+      this.client.logger.error("Error in onError callback:", listenerError);
+    }
+  }
+
+  /**
+   * Record a proven log, keeping the set bounded
+   *
+   * @param {Object} log - ethers.js Log
+   */
+  remember(log) {
+    this.proven.add(getLogKey(log));
+    if (this.proven.size > MAX_PROVEN_LOGS) {
+      this.proven.delete(this.proven.values().next().value);
+    }
+  }
+
+  /**
+   * Persist the checkpoint
+   *
+   * @param {Object} checkpoint - `{ blockNumber, blockHash }`
+   */
+  async saveCheckpoint(checkpoint) {
+    this.checkpoint = checkpoint;
+    if (this.settings.checkpointStore) {
+      await this.settings.checkpointStore.set(
+        this.settings.checkpointKey,
+        checkpoint
+      );
+    }
+  }
+
+  /**
+   * Iterate over completed proofs until the auto prover stops
+   *
+   * Only used without `onProof`. Breaking out of the loop stops the prover.
+   *
+   * @returns {AsyncIterator<Object>} Proofs as passed to `onProof`
+   */
+  [Symbol.asyncIterator]() {
+    return {
+      next: () => {
+        if (this.buffer.length > 0) {
+          return Promise.resolve({ value: this.buffer.shift(), done: false });
+        }
+        if (!this.running) {
+          return Promise.resolve({ value: undefined, done: true });
+        }
+        return new Promise((resolve) => this.waiters.push(resolve));
+      },
+      return: async () => {
+        await this.stop();
+        return { value: undefined, done: true };
+      },
+    };
+  }
+}
+
+/**
+ * In-memory job store
+ *
+ * Job stores record proof jobs keyed by their source log coordinates (see
+ * `getJobKey`), so identical requests reuse the same job and unfinished jobs
+ * can be resumed. Any object with async `get(key)`, `set(key, record)`,
+ * `delete(key)` and `list()` methods can be used as a store.
+ */
+class MemoryJobStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async get(key) {
+    return this.records.get(key);
+  }
+
+  async set(key, record) {
+    this.records.set(key, record);
+  }
+
+  async delete(key) {
+    this.records.delete(key);
+  }
+
+  async list() {
+    return Array.from(this.records.values());
+  }
+}
+
+/**
+ * Job store backed by a simple key-value adapter
+ *
+ * Works with anything exposing `get(key)`, `set(key, value)` and
+ * `delete(key)` for string values, sync or async, such as
+ * `window.localStorage` (via `getItem`/`setItem`/`removeItem`), Redis
+ * clients or Keyv. An index of known keys is kept under `${prefix}index`.
+ */
+class KeyValueJobStore {
+  /**
+   * @param {Object} adapter - Key-value adapter
+   * @param {Object} [options] - Store options
+   * @param {string} [options.prefix] - Prefix for all keys (default: "polymer:job:")
+   */
+  constructor(adapter, options = {}) {
+    this.adapter = {
+      get: (adapter.get || adapter.getItem).bind(adapter),
+      set: (adapter.set || adapter.setItem).bind(adapter),
+      delete: (adapter.delete || adapter.del || adapter.removeItem).bind(
+        adapter
+      ),
+    };
+    this.prefix = options.prefix || "polymer:job:";
+    // Index updates run one after another so concurrent writes keep every key
+    this.indexing = Promise.resolve();
+  }
+
+  async get(key) {
+    const value = await this.adapter.get(this.prefix + key);
+    return value ? JSON.parse(value) : undefined;
+  }
+
+  async set(key, record) {
+    await this.adapter.set(this.prefix + key, JSON.stringify(record));
+    await this.updateIndex((keys) =>
+      keys.includes(key) ? null : [...keys, key]
+    );
+  }
+
+  async delete(key) {
+    await this.adapter.delete(this.prefix + key);
+    await this.updateIndex((keys) => keys.filter((k) => k !== key));
+  }
+
+  async list() {
+    const records = await Promise.all(
+      (await this.keys()).map((key) => this.get(key))
+    );
+    return records.filter(Boolean);
+  }
+
+  async keys() {
+    const index = await this.adapter.get(this.prefix + "index");
+    return index ? JSON.parse(index) : [];
+  }
+
+  /**
+   * Rewrite the index after any index update already in progress
+   *
+   * @param {Function} update - Maps the current keys to the new keys, or null to keep them
+   * @returns {Promise<void>}
+   */
+  updateIndex(update) {
+    this.indexing = this.indexing
+      .catch(() => {})
+      .then(async () => {
+        const keys = update(await this.keys());
+        if (keys) {
+          await this.adapter.set(this.prefix + "index", JSON.stringify(keys));
+        }
+      });
+    return this.indexing;
+  }
+}
+
+/**
+ * In-memory least-recently-used cache for completed proofs
+ */
+class LruProofCache {
+  /**
+   * @param {Object} [options] - Cache options
+   * @param {number} [options.maxEntries] - Maximum number of cached proofs (default: 1000)
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 1000;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (entry !== undefined) {
+      // Re-insert to mark as most recently used
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+    }
+    return entry;
+  }
+
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+}
+
+/**
+ * Normalize the `cache` config option
+ *
+ * @param {Object|boolean|null} cache - The `cache` config option
+ * @returns {Object|null} `{ store, ttl }` or null when caching is disabled
+ */
+function createProofCache(cache) {
+  if (!cache) {
+    return null;
+  }
+
+  const options = cache === true ? {} : cache;
+  return {
+    store:
+      options.store || new LruProofCache({ maxEntries: options.maxEntries }),
+    ttl: options.ttl || null,
+  };
+}
+
+/**
+ * Identify a log by its transaction, position and block
+ *
+ * @param {Object} log - ethers.js Log
+ * @returns {string} The log key
+ */
+function getLogKey(log) {
+  return `${log.blockHash}:${log.transactionHash}:${log.index}`;
+}
+
+/**
+ * Build the job store key for a set of source log coordinates
+ *
+ * @param {Object} params - `{ srcChainId, srcBlockNumber, txIndex, logIndex }`
+ * @returns {string} The store key
+ */
+function getJobKey({ srcChainId, srcBlockNumber, txIndex, logIndex }) {
+  return `${srcChainId}:${srcBlockNumber}:${txIndex}:${logIndex}`;
+}
+
+/**
+ * Adds Polymer proof capabilities to the ethers.js TransactionResponse objects
+ *
+ * Every call rebinds the receipt methods and `ethers.polymer` to the new
+ * client, so the most recent configuration always wins.
+ *
+ * @param {Object} ethers - The ethers.js library
+ * @param {Object|PolymerClient} config - Configuration object (see PolymerClient) or an existing client
+ * @returns {PolymerClient} The client backing the plugin
+ */
+function addPolymerToEthers(ethers, config = {}) {
+  const client =
+    config instanceof PolymerClient
+      ? config
+      : new PolymerClient({ ...config, ethers });
+
+  if (!client.ethers) {
+    client.ethers = ethers;
+  }
+
+  // Extend Log prototype for ethers v6 (EventLog extends Log)
+  if (ethers.Log) {
+    /**
+     * Request and retrieve a Polymer proof for this log
+     *
+     * @param {Object} options - Options for proof generation (see PolymerClient#proveLog)
+     * @returns {Promise<Object>} The proof result or the job object
+     */
+    ethers.Log.prototype.polymerProof = function (options = {}) {
+      return client.proveLog(this, options);
+    };
+  }
+
+  // Extend BaseContract prototype for ethers v6 (Contract extends BaseContract)
+  if (ethers.BaseContract) {
+    /**
+     * Query this contract's events and prove every matching log
+     *
+     * @param {string|Object} filter - Event name, ContractEvent or filter (see Contract#queryFilter)
+     * @param {number|string} [fromBlock] - First block to search
+     * @param {number|string} [toBlock] - Last block to search
+     * @param {Object} [options] - Options for proof generation (see PolymerClient#proveLogs)
+     * @returns {Promise<Object[]>} Per-log results
+     */
+    ethers.BaseContract.prototype.polymerProveEvents = async function (
+      filter,
+      fromBlock,
+      toBlock,
+      options = {}
+    ) {
+      const logs = await this.queryFilter(filter, fromBlock, toBlock);
+      return client.proveLogs(logs, options);
+    };
+  }
+
+  // Extend TransactionReceipt prototype for ethers v6
+  if (ethers.TransactionReceipt) {
+    /**
+     * Request and retrieve a Polymer proof for this transaction receipt
+     *
+     * @param {Object} options - Options for proof generation (see PolymerClient#proveReceipt)
+     * @returns {Promise<Object>} The proof result or the job object
+     */
+    ethers.TransactionReceipt.prototype.polymerProof = function (options = {}) {
+      return client.proveReceipt(this, options);
+    };
+
+    /**
+     * Request and retrieve Polymer proofs for every matching log of this receipt
+     *
+     * @param {Object} options - Options for proof generation (see PolymerClient#proveReceiptLogs)
+     * @returns {Promise<Object[]>} Per-log results
+     */
+    ethers.TransactionReceipt.prototype.polymerProofs = function (
+      options = {}
+    ) {
+      return client.proveReceiptLogs(this, options);
+    };
+
+    /**
+     * Prove a log of this receipt and submit the proof on the destination chain
+     *
+     * @param {Object} options - Proof and destination options (see PolymerClient#relayReceipt)
+     * @returns {Promise<Object>} `{ proof, transaction }`
+     */
+    ethers.TransactionReceipt.prototype.polymerRelay = function (options = {}) {
+      return client.relayReceipt(this, options);
+    };
+
+    /**
+     * Get the Polymer proof job status
+     *
+     * @param {string} jobId - The Polymer proof job ID
+     * @returns {Promise<Object>} The job status
+     */
+    ethers.TransactionReceipt.prototype.polymerProofStatus = function (jobId) {
+      return client.queryProofStatus(jobId);
+    };
+  }
+
+  // ContractTransactionResponse extends TransactionResponse, and its own
+  // wait() returns a ContractTransactionReceipt with parsed logs
+  if (ethers.TransactionResponse) {
+    /**
+     * Wait for this transaction to be mined, then request and retrieve a
+     * Polymer proof for one of its logs
+     *
+     * @param {Object} options - Options for proof generation (see PolymerClient#proveTransactionResponse)
+     * @returns {Promise<Object>} The proof result or the job object
+     */
+    ethers.TransactionResponse.prototype.polymerProof = function (
+      options = {}
+    ) {
+      return client.proveTransactionResponse(this, options);
+    };
+
+    /**
+     * Get the Polymer proof job status
+     *
+     * @param {string} jobId - The Polymer proof job ID
+     * @returns {Promise<Object>} The job status
+     */
+    ethers.TransactionResponse.prototype.polymerProofStatus = function (jobId) {
+      return client.queryProofStatus(jobId);
+    };
+  }
+
+  // Add standalone functions to the ethers object for direct use
+  ethers.polymer = {
+    client,
+
+    /**
+     * Request a proof for a transaction
+     *
+     * @param {Object} params - Parameters for proof generation
+     * @param {number} [params.srcChainId] - Source chain ID
+     * @param {number} [params.srcBlockNumber] - Source block number
+     * @param {number} [params.txIndex] - Transaction index
+     * @param {number} [params.logIndex] - Log index
+     * @param {AbortSignal} [params.signal] - Signal to cancel the request
+     * @returns {Promise<string>} Job ID for the proof request
+     */
+    requestProof: (params) => client.requestProof(params),
+
+    /**
+     * Query the status of a proof generation job
+     *
+     * @param {string} jobId - Job ID from the proof request
+     * @returns {Promise<Object>} The job status
+     */
+    queryProofStatus: (jobId) => client.queryProofStatus(jobId),
+
+    /**
+     * Poll for proof completion
+     *
+     * @param {string} jobId - Job ID from the proof request
+     * @param {number|Object} [maxAttempts] - Maximum polling attempts, or an options object (see PolymerClient#wait)
+     * @param {number} [interval] - Polling interval in ms
+     * @returns {Promise<Object>} The proof result
+     */
+    wait: (jobId, maxAttempts, interval) => {
+      const options =
+        typeof maxAttempts === "object" && maxAttempts !== null
+          ? maxAttempts
+          : { maxAttempts, interval };
+      return client.wait(jobId, options);
+    },
+
+    /**
+     * Request proofs for many logs, waiting for all of them together
+     *
+     * @param {Object[]} items - Proof parameters (see requestProof)
+     * @param {Object} [options] - Batch options (see PolymerClient#requestProofs)
+     * @returns {Promise<Object[]>} One `{ params, jobId, result, error }` per item
+     */
+    requestProofs: (items, options) => client.requestProofs(items, options),
+
+    /**
+     * Watch a proof job, yielding every distinct status until it finishes
+     *
+     * @param {string} jobId - Job ID from the proof request
+     * @param {Object} [options] - Polling options (see PolymerClient#wait)
+     * @returns {AsyncGenerator<Object>} The job statuses
+     */
+    watch: (jobId, options) => client.watch(jobId, options),
+
+    /**
+     * Continue polling every unfinished job in the job store
+     *
+     * @param {Object} [options] - Polling options (see PolymerClient#wait)
+     * @returns {Promise<Object[]>} One `{ record, result, error }` per resumed job
+     */
+    resumePending: (options) => client.resumePending(options),
+
+    /**
+     * Report the health of the configured endpoints
+     *
+     * @returns {Object[]} `{ url, healthy, failures, unhealthyUntil, lastError }` per endpoint
+     */
+    getEndpointHealth: () => client.getEndpointHealth(),
+
+    /**
+     * Report the rate limiter's queue and wait time metrics
+     *
+     * @returns {Object|null} Rate limiter metrics, or null without `rateLimit`
+     */
+    getRateLimitStats: () => client.getRateLimitStats(),
+
+    /**
+     * Start a service that proves every new log matching a filter
+     *
+     * @param {Object} options - Auto prover options (see PolymerAutoProver)
+     * @returns {PolymerAutoProver} The running auto prover
+     */
+    createAutoProver: (options) => client.createAutoProver(options),
+
+    /**
+     * Prove a log of a transaction given only its chain and hash
+     *
+     * @param {Object} params - `{ chainId, txHash }` plus proof options (see PolymerClient#proveTransaction)
+     * @returns {Promise<Object>} The proof result or the job object
+     */
+    proveTransaction: (params) => client.proveTransaction(params),
+
+    /**
+     * Register the provider used to read a source chain
+     *
+     * @param {number|bigint} chainId - Source chain ID
+     * @param {Object} provider - ethers.js provider connected to that chain
+     */
+    registerProvider: (chainId, provider) => {
+      client.registerProvider(chainId, provider);
+    },
+
+    /**
+     * List the source chain IDs the configured Polymer API can prove logs from
+     *
+     * @returns {number[]} Supported chain IDs
+     */
+    getSupportedChains: () => client.getSupportedChains(),
+
+    /**
+     * Decode a Polymer proof into its components
+     *
+     * @param {string|Uint8Array|Object} proof - The proof or a `wait` result
+     * @returns {Object} The decoded proof
+     */
+    decodeProof,
+
+    /**
+     * Check offline that a proof proves the expected log of a receipt
+     *
+     * @param {string|Uint8Array|Object} proof - The proof or a `wait` result
+     * @param {Object} receipt - An ethers.js TransactionReceipt
+     * @param {Object} [options] - `{ logIndex, chainId }`
+     * @returns {Object} `{ valid, mismatches, decoded }`
+     */
+    verifyProofMatchesReceipt,
+
+    /**
+     * Convert a proof or `wait` result into 0x-hex bytes
+     *
+     * @param {string|Uint8Array|Object} proof - The proof or a `wait` result
+     * @returns {string} The proof as ethers BytesLike
+     */
+    proofToHex,
+
+    /** CrossL2Prover contract ABI */
+    proverAbi: CROSS_L2_PROVER_ABI,
+
+    /**
+     * Get the CrossL2Prover contract address for a destination chain
+     *
+     * @param {number|bigint} chainId - Destination chain ID
+     * @returns {string} The prover contract address
+     */
+    getProverAddress: (chainId) => client.getProverAddress(chainId),
+
+    /**
+     * Validate a proof on the destination chain with a static call
+     *
+     * @param {string|Uint8Array|Object} proof - The proof or a `wait` result
+     * @param {Object} options - `{ provider|signer, chainId, address, interface }`
+     * @returns {Promise<Object>} The proven event fields
+     */
+    validateOnDestination: (proof, options) =>
+      client.validateOnDestination(proof, options),
+
+    /**
+     * Register a listener for proof job lifecycle events
+     *
+     * @param {string} event - requested, status, retry, complete or failed
+     * @param {Function} listener - Called with the event payload
+     */
+    on: (event, listener) => client.on(event, listener),
+
+    /**
+     * Register a listener that is removed after its first call
+     *
+     * @param {string} event - Event name
+     * @param {Function} listener - Called with the event payload
+     */
+    once: (event, listener) => client.once(event, listener),
+
+    /**
+     * Remove a lifecycle event listener
+     *
+     * @param {string} event - Event name
+     * @param {Function} listener - The listener to remove
+     */
+    off: (event, listener) => client.off(event, listener),
+  };
+
+  return client;
+}
+
+/**
+ * Byte layout of the header of a Polymer event proof, as read by the
+ * CrossL2ProverV2 contract. The emitted event (emitting contract, topics
+ * and data) follows the header and ends at `eventEnd`; the rest of the
+ * proof is the state / merkle path used to validate it.
+ */
+const PROOF_LAYOUT = {
+  appHash: [0, 32],
+  peptideHeight: [32, 40],
+  signature: [40, 105],
+  srcChainId: [105, 109],
+  srcBlockNumber: [109, 117],
+  receiptIndex: [117, 119],
+  logIndex: [119, 120],
+  topicCount: [120, 121],
+  eventEnd: [121, 123],
+};
+
+/**
+ * Decode a Polymer proof into its components
+ *
+ * @param {string|Uint8Array|Object} proof - Base64 or 0x-hex proof, raw bytes, or a `wait` result with a `proof` field
+ * @returns {Object} `{ appHash, peptideHeight, signature, srcChainId, srcBlockNumber, receiptIndex, logIndex, emittingContract, topics, data, path }`
+ */
+function decodeProof(proof) {
+  const bytes = proofToBytes(proof);
+  const read = ([start, end]) => {
+    if (bytes.length < end) {
+      throw new PolymerProofDecodeError(
+        `Proof too short: expected at least ${end} bytes, got ${bytes.length}`
+      );
+    }
+    return bytes.subarray(start, end);
+  };
+  const readUint = (range) =>
+    read(range).reduce((value, byte) => value * 256 + byte, 0);
+
+  const topicCount = readUint(PROOF_LAYOUT.topicCount);
+  const eventStart = PROOF_LAYOUT.eventEnd[1];
+  const eventEnd = readUint(PROOF_LAYOUT.eventEnd);
+  const topicsEnd = eventStart + 20 + topicCount * 32;
+
+  if (eventEnd < topicsEnd || eventEnd > bytes.length) {
+    throw new PolymerProofDecodeError(
+      `Invalid event bounds in proof (event ends at ${eventEnd}, proof is ${bytes.length} bytes)`
+    );
+  }
+
+  const topics = [];
+  for (let i = 0; i < topicCount; i++) {
+    const start = eventStart + 20 + i * 32;
+    topics.push(bytesToHex(bytes.subarray(start, start + 32)));
+  }
+
+  return {
+    appHash: bytesToHex(read(PROOF_LAYOUT.appHash)),
+    peptideHeight: readUint(PROOF_LAYOUT.peptideHeight),
+    signature: bytesToHex(read(PROOF_LAYOUT.signature)),
+    srcChainId: readUint(PROOF_LAYOUT.srcChainId),
+    srcBlockNumber: readUint(PROOF_LAYOUT.srcBlockNumber),
+    receiptIndex: readUint(PROOF_LAYOUT.receiptIndex),
+    logIndex: readUint(PROOF_LAYOUT.logIndex),
+    emittingContract: bytesToHex(bytes.subarray(eventStart, eventStart + 20)),
+    topics,
+    data: bytesToHex(bytes.subarray(topicsEnd, eventEnd)),
+    path: bytesToHex(bytes.subarray(eventEnd)),
+  };
+}
+
+/**
+ * Check offline that a proof proves the expected log of a receipt
+ *
+ * Compares the source block, transaction index, emitting contract, topics
+ * and data in the proof against the receipt log.
+ *
+ * @param {string|Uint8Array|Object} proof - The proof (see `decodeProof`)
+ * @param {Object} receipt - An ethers.js TransactionReceipt
+ * @param {Object} [options] - Verification options
+ * @param {number} [options.logIndex] - Receipt-local index of the expected log (default: the index in the proof)
+ * @param {number} [options.chainId] - Expected source chain ID
+ * @returns {Object} `{ valid, mismatches, decoded }`, where each mismatch is `{ field, expected, actual }`
+ */
+function verifyProofMatchesReceipt(proof, receipt, options = {}) {
+  const decoded = decodeProof(proof);
+  const logIndex =
+    typeof options.logIndex === "number" ? options.logIndex : decoded.logIndex;
+  const log = receipt.logs[logIndex];
+  const mismatches = [];
+
+  const compare = (field, expected, actual) => {
+    const normalize = (value) =>
+      typeof value === "string" ? value.toLowerCase() : value;
+    if (normalize(expected) !== normalize(actual)) {
+      mismatches.push({ field, expected, actual });
+    }
+  };
+
+  if (options.chainId !== undefined) {
+    compare("srcChainId", Number(options.chainId), decoded.srcChainId);
+  }
+  compare("srcBlockNumber", receipt.blockNumber, decoded.srcBlockNumber);
+  compare("receiptIndex", receipt.index, decoded.receiptIndex);
+  compare("logIndex", logIndex, decoded.logIndex);
+
+  if (!log) {
+    mismatches.push({ field: "log", expected: logIndex, actual: null });
+  } else {
+    compare("emittingContract", log.address, decoded.emittingContract);
+    compare("topics", log.topics.join(","), decoded.topics.join(","));
+    compare("data", log.data, decoded.data);
+  }
+
+  return { valid: mismatches.length === 0, mismatches, decoded };
+}
+
+/**
+ * Convert a proof into a 0x-hex string, usable as ethers `BytesLike`
+ *
+ * @param {string|Uint8Array|Object} proof - Base64 or 0x-hex proof, raw bytes, or a `wait` result
+ * @returns {string} The proof as 0x-hex
+ */
+function proofToHex(proof) {
+  return bytesToHex(proofToBytes(proof));
+}
+
+/**
+ * Convert a proof in any supported encoding into bytes
+ *
+ * @param {string|Uint8Array|Object} proof - The proof
+ * @returns {Uint8Array} Proof bytes
+ */
+function proofToBytes(proof) {
+  if (proof instanceof Uint8Array) {
+    return proof;
+  }
+  if (proof && typeof proof === "object" && typeof proof.proof === "string") {
+    return proofToBytes(proof.proof);
+  }
+  if (typeof proof !== "string" || proof.length === 0) {
+    throw new PolymerProofDecodeError("Proof must be a non-empty string");
+  }
+
+  if (/^0x([0-9a-fA-F]{2})*$/.test(proof)) {
+    const bytes = new Uint8Array((proof.length - 2) / 2);
+    for (let i = 0; i < bytes.length; i++) {
+      bytes[i] = parseInt(proof.substr(2 + i * 2, 2), 16);
+    }
+    return bytes;
+  }
+
+  try {
+    const binary = atob(proof);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  } catch (error) {
+    throw new PolymerProofDecodeError("Proof is neither 0x-hex nor base64", {
+      cause: error,
+    });
+  }
+}
+
+/**
+ * Encode bytes as a 0x-prefixed hex string
+ *
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Hex string
+ */
+function bytesToHex(bytes) {
+  let hex = "0x";
+  for (const byte of bytes) {
+    hex += byte.toString(16).padStart(2, "0");
+  }
+  return hex;
+}
+
+/**
+ * Create a JSON-RPC transport that POSTs to the Polymer API
+ *
+ * @param {Object} config - Polymer configuration
+ * @param {Object} logger - Logger instance
+ * @returns {Object} Transport with a `request(method, params)` function
+ */
+function createHttpTransport(config, logger) {
+  let nextId = 1;
+
+  return {
+    request: async (method, params, options = {}) => {
+      const { signal, timeout = config.timeout } = options;
+      throwIfAborted(signal);
+
+      const id = nextId++;
+      logger.log(`JSON-RPC request #${id}: ${method}`);
+
+      const data = await postJsonRpc(
+        config,
+        { jsonrpc: "2.0", id, method, params },
+        { signal, timeout, label: method }
+      );
+
+      if (data.error) {
+        throw new PolymerRpcError(data.error, method);
+      }
+
+      return data.result;
+    },
+  };
+}
+
+/**
+ * Create a JSON-RPC transport that coalesces concurrent calls into batches
+ *
+ * Calls made within `window` ms of each other are sent as one JSON-RPC 2.0
+ * batch array of at most `maxSize` entries, and each response is routed
+ * back to its caller by id. A caller aborting only drops its own entry.
+ *
+ * @param {Object} config - Polymer configuration
+ * @param {Object} logger - Logger instance
+ * @returns {Object} Transport with a `request(method, params)` function
+ */
+function createBatchTransport(config, logger) {
+  const { window: batchWindow, maxSize } = config.jsonRpcBatch;
+  let nextId = 1;
+  let queue = [];
+  let timer = null;
+
+  const flush = async () => {
+    clearTimeout(timer);
+    timer = null;
+
+    const entries = queue.filter((entry) => !entry.settled);
+    queue = [];
+    if (entries.length === 0) {
+      return;
+    }
+
+    logger.log(`JSON-RPC batch of ${entries.length} requests`);
+
+    try {
+      const data = await postJsonRpc(
+        config,
+        entries.map(({ id, method, params }) => ({
+          jsonrpc: "2.0",
+          id,
+          method,
+          params,
+        })),
+        { timeout: config.timeout, label: `batch of ${entries.length}` }
+      );
+
+      // A server that rejects the batch as a whole answers with one error
+      if (!Array.isArray(data)) {
+        const error = data.error || {
+          code: -32603,
+          message: "Invalid JSON-RPC batch response",
+        };
+        entries.forEach((entry) =>
+          entry.reject(new PolymerRpcError(error, entry.method))
+        );
+        return;
+      }
+
+      const responses = new Map(
+        data.map((response) => [response.id, response])
+      );
+
+      for (const entry of entries) {
+        const response = responses.get(entry.id);
+        if (!response) {
+          entry.reject(
+            new PolymerRpcError(
+              {
+                code: -32603,
+                message: `Missing response for request #${entry.id}`,
+              },
+              entry.method
+            )
+          );
+        } else if (response.error) {
+          entry.reject(new PolymerRpcError(response.error, entry.method));
+        } else {
+          entry.resolve(response.result);
+        }
+      }
+    } catch (error) {
+      entries.forEach((entry) => entry.reject(error));
+    }
+  };
+
+  return {
+    request: (method, params, options = {}) =>
+      new Promise((resolve, reject) => {
+        const { signal } = options;
+        throwIfAborted(signal);
+
+        const onAbort = () =>
+          entry.reject(new PolymerAbortError(signal.reason));
+        const settle = (fn) => (value) => {
+          if (entry.settled) {
+            return;
+          }
+          entry.settled = true;
+          if (signal) {
+            signal.removeEventListener("abort", onAbort);
+          }
+          fn(value);
+        };
+        const entry = { id: nextId++, method, params, settled: false };
+        entry.resolve = settle(resolve);
+        entry.reject = settle(reject);
+
+        if (signal) {
+          signal.addEventListener("abort", onAbort, { once: true });
+        }
+
+        logger.log(`JSON-RPC request #${entry.id}: ${method} (batched)`);
+        queue.push(entry);
+
+        if (queue.length >= maxSize) {
+          flush();
+        } else if (!timer) {
+          timer = setTimeout(flush, batchWindow);
+        }
+      }),
+  };
+}
+
+/**
+ * Create a transport that fails over between several API endpoints
+ *
+ * Each call goes to the first healthy endpoint, in configured order. An
+ * endpoint that fails with a transient error (see `isRetryableError`) is
+ * skipped for `failover.cooldown` ms and the call moves on to the next one;
+ * when every endpoint is cooling down they are tried in order of recovery.
+ * With `failover.pinJobs`, `log_queryProof` only goes to the endpoint that
+ * answered the job's `log_requestProof`.
+ *
+ * @param {Object} config - Polymer configuration
+ * @param {Object} logger - Logger instance
+ * @param {Function} createTransport - Creates the transport of one endpoint from its config
+ * @returns {Object} Transport with a `request(method, params)` function
+ */
+function createFailoverTransport(config, logger, createTransport) {
+  const { cooldown, pinJobs } = config.failover;
+  const endpoints = config.endpoints.map((url) => ({
+    url,
+    transport: createTransport({ ...config, apiUrl: url }, logger),
+    failures: 0,
+    unhealthyUntil: 0,
+    lastError: null,
+  }));
+  // Endpoint that created each job, by job ID
+  const pins = new Map();
+
+  const pin = (jobId, endpoint) => {
+    pins.delete(String(jobId));
+    pins.set(String(jobId), endpoint);
+    if (pins.size > MAX_PINNED_JOBS) {
+      pins.delete(pins.keys().next().value);
+    }
+  };
+
+  const getCandidates = (method, params) => {
+    const pinned =
+      pinJobs && method === "log_queryProof"
+        ? pins.get(String(params[0]))
+        : null;
+    if (pinned) {
+      return [pinned];
+    }
+
+    const now = Date.now();
+    const healthy = endpoints.filter(
+      (endpoint) => endpoint.unhealthyUntil <= now
+    );
+    const cooling = endpoints
+      .filter((endpoint) => endpoint.unhealthyUntil > now)
+      .sort((a, b) => a.unhealthyUntil - b.unhealthyUntil);
+    return [...healthy, ...cooling];
+  };
+
+  return {
+    request: async (method, params, options = {}) => {
+      let lastError;
+
+      for (const endpoint of getCandidates(method, params)) {
+        try {
+          const result = await endpoint.transport.request(
+            method,
+            params,
+            options
+          );
+          endpoint.failures = 0;
+          endpoint.unhealthyUntil = 0;
+          if (method === "log_requestProof") {
+            pin(result, endpoint);
+          }
+          return result;
+        } catch (error) {
+          if (!isRetryableError(error, config.retry)) {
+            throw error;
+          }
+
+          endpoint.failures++;
+          endpoint.unhealthyUntil = Date.now() + cooldown;
+          endpoint.lastError = error;
+          logger.log(
+            `Endpoint ${endpoint.url} failed ${method}, skipping it for ${cooldown}ms: ${error.message}`
+          );
+          lastError = error;
+        }
+      }
+
+      throw lastError;
+    },
+    getJobEndpoint: (jobId) => {
+      const endpoint = pins.get(String(jobId));
+      return endpoint ? endpoint.url : null;
+    },
+    pinJob: (jobId, url) => {
+      const endpoint = endpoints.find((candidate) => candidate.url === url);
+      if (endpoint) {
+        pin(jobId, endpoint);
+      }
+    },
+    getHealth: () => {
+      const now = Date.now();
+      return endpoints.map(({ url, failures, unhealthyUntil, lastError }) => ({
+        url,
+        healthy: unhealthyUntil <= now,
+        failures,
+        unhealthyUntil,
+        lastError,
+      }));
+    },
+  };
+}
+
+/**
+ * Resolve the API endpoints from the `endpoints`, `apiUrl` and `network`
+ * options, in that order of precedence
+ *
+ * @param {Object} options - Client options
+ * @returns {string[]} Endpoint URLs, at least one
+ */
+function resolveEndpoints(options) {
+  // Checked even when an endpoint wins, as it also picks the supported chains
+  if (options.network && !POLYMER_NETWORKS[options.network]) {
+    throw new Error(
+      `Unknown Polymer network "${
+        options.network
+      }", expected one of: ${Object.keys(POLYMER_NETWORKS).join(", ")}`
+    );
+  }
+
+  if (options.endpoints && options.endpoints.length > 0) {
+    return [...options.endpoints];
+  }
+  if (options.apiUrl) {
+    return [options.apiUrl];
+  }
+  if (options.network) {
+    return [POLYMER_NETWORKS[options.network].apiUrl];
+  }
+  return [DEFAULT_CONFIG.apiUrl];
+}
+
+/**
+ * POST a JSON-RPC payload to the Polymer API
+ *
+ * The request `{ url, method, headers, body, payload }` goes through each
+ * middleware's `beforeRequest`, which may change it in place or return a
+ * replacement; `body` is what gets sent. The fetch Response then goes
+ * through each `afterResponse`, which may return a replacement Response.
+ *
+ * @param {Object} config - Polymer configuration
+ * @param {Object|Object[]} payload - JSON-RPC request or batch
+ * @param {Object} options - Request options
+ * @param {AbortSignal} [options.signal] - Signal to cancel the request
+ * @param {number} [options.timeout] - Request timeout in ms
+ * @param {string} options.label - Description used in timeout errors
+ * @returns {Promise<Object|Object[]>} The parsed response body
+ */
+async function postJsonRpc(config, payload, options) {
+  const { signal, timeout, label } = options;
+
+  // Abort the fetch on either the deadline or the caller's signal
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = timeout
+    ? setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeout)
+    : null;
+  const onAbort = () => controller.abort();
+  if (signal) {
+    signal.addEventListener("abort", onAbort, { once: true });
+  }
+
+  try {
+    let request = {
+      url: config.apiUrl,
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${config.apiKey}`,
+        "Content-Type": "application/json",
+        Accept: "application/json",
+      },
+      body: JSON.stringify(payload),
+      payload,
+    };
+    for (const middleware of config.middleware) {
+      if (middleware.beforeRequest) {
+        request = (await middleware.beforeRequest(request)) || request;
+      }
+    }
+
+    const fetchImpl = config.fetch || fetch;
+    let response;
+    try {
+      response = await fetchImpl(request.url, {
+        method: request.method,
+        headers: request.headers,
+        body: request.body,
+        signal: controller.signal,
+      });
+    } catch (error) {
+      // Aborts and timeouts are told apart below
+      throw new PolymerNetworkError(request.url, error);
+    }
+
+    for (const middleware of config.middleware) {
+      if (middleware.afterResponse) {
+        response =
+          (await middleware.afterResponse(response, request)) || response;
+      }
+    }
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => "");
+      throw new PolymerHttpError(response.status, body, response.headers);
+    }
+
+    return await response.json();
+  } catch (error) {
+    if (signal && signal.aborted) {
+      throw new PolymerAbortError(signal.reason);
+    }
+    if (timedOut) {
+      throw new PolymerRequestTimeoutError(label, timeout);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    if (signal) {
+      signal.removeEventListener("abort", onAbort);
+    }
+  }
+}
+
+/**
+ * Merge per-call polling options over the client configuration
+ *
+ * @param {Object} config - Polymer configuration
+ * @param {Object} options - Per-call polling options
+ * @returns {Object} Polling settings
+ */
+function resolvePollingSettings(config, options) {
+  const pick = (key) =>
+    options[key] !== undefined && options[key] !== null
+      ? options[key]
+      : config[key];
+
+  return {
+    pollingStrategy: pick("pollingStrategy"),
+    maxAttempts: pick("maxAttempts"),
+    interval: pick("interval"),
+    intervalStep: pick("intervalStep"),
+    backoffFactor: pick("backoffFactor"),
+    maxInterval: pick("maxInterval"),
+    waitUntil: pick("waitUntil"),
+  };
+}
+
+/**
+ * Built-in polling strategies
+ *
+ * Each factory takes the polling settings and returns a function
+ * `(attempt, elapsed) => delay` giving the wait in ms after the given
+ * (1-based) attempt, or null to stop polling.
  */
-const DEFAULT_CONFIG = {
-  apiUrl: "https://proof.testnet.polymer.zone",
-  apiKey: null,
-  maxAttempts: 20,
-  interval: 3000,
-  timeout: 60000,
-  debug: false,
+const POLLING_STRATEGIES = {
+  fixed: (settings) => (attempt) =>
+    attempt < settings.maxAttempts ? settings.interval : null,
+
+  linear: (settings) => (attempt) =>
+    attempt < settings.maxAttempts
+      ? Math.min(
+          settings.interval + settings.intervalStep * (attempt - 1),
+          settings.maxInterval
+        )
+      : null,
+
+  exponential: (settings) => (attempt) =>
+    attempt < settings.maxAttempts
+      ? Math.min(
+          settings.interval * Math.pow(settings.backoffFactor, attempt - 1),
+          settings.maxInterval
+        )
+      : null,
+
+  deadline: (settings) => (attempt, elapsed) => {
+    const remaining = settings.waitUntil - elapsed;
+    return remaining > 0 ? Math.min(settings.interval, remaining) : null;
+  },
 };
 
 /**
- * Adds Polymer proof capabilities to the ethers.js TransactionResponse objects
+ * Build the delay function for the configured polling strategy
  *
- * @param {Object} ethers - The ethers.js library
- * @param {Object} config - Configuration object
- * @param {string} config.apiKey - Your Polymer API key
- * @param {string} [config.apiUrl] - Polymer API URL (default: 'https://proof.testnet.polymer.zone')
- * @param {number} [config.maxAttempts] - Maximum polling attempts (default: 20)
- * @param {number} [config.interval] - Polling interval in ms (default: 3000)
- * @param {number} [config.timeout] - Request timeout in ms (default: 60000)
- * @param {boolean} [config.debug] - Enable debug logging (default: false)
+ * @param {Object} settings - Polling settings
+ * @returns {Function} `(attempt, elapsed) => delay | null`
  */
-function addPolymerToEthers(ethers, config = {}) {
-  const polymerConfig = { ...DEFAULT_CONFIG, ...config };
-  const logger = createLogger(polymerConfig.debug);
+function createPollingStrategy(settings) {
+  const { pollingStrategy } = settings;
 
-  if (!polymerConfig.apiKey) {
-    throw new Error("Polymer API key is required");
+  if (typeof pollingStrategy === "function") {
+    return pollingStrategy;
   }
 
-  logger.log("Initializing Polymer Ethers plugin with config:", polymerConfig);
+  const factory = POLLING_STRATEGIES[pollingStrategy];
+  if (!factory) {
+    throw new Error(`Unknown polling strategy: ${pollingStrategy}`);
+  }
 
-  // Extend TransactionReceipt prototype for ethers v6
-  if (
-    ethers.TransactionReceipt &&
-    !ethers.TransactionReceipt.prototype.polymerProof
-  ) {
-    /**
-     * Request and retrieve a Polymer proof for this transaction receipt
-     *
-     * @param {Object} options - Options for proof generation
-     * @param {string} [options.eventSignature] - The event signature to generate a proof for
-     * @param {number} [options.logIndex] - The log index of the event to generate a proof for
-     * @param {number} [options.maxAttempts] - Maximum polling attempts
-     * @param {number} [options.interval] - Polling interval in ms
-     * @param {boolean} [options.returnJob] - If true, returns the job object instead of the proof
-     * @returns {Promise<string|Object>} The proof as a hex string or the job object
-     */
-    ethers.TransactionReceipt.prototype.polymerProof = async function (
-      options = {}
-    ) {
-      // Get chainId from the provider
-      const provider = this.provider;
-      if (!provider) {
-        throw new Error("Provider not available in transaction receipt");
-      }
+  if (pollingStrategy === "deadline" && !(settings.waitUntil > 0)) {
+    throw new Error("waitUntil is required for the deadline polling strategy");
+  }
 
-      const network = await provider.getNetwork();
-      const chainId = network.chainId;
-      if (!chainId) {
-        throw new Error("Chain ID not found in provider");
-      }
+  return factory(settings);
+}
 
-      // Extract parameters for Polymer API
-      const srcChainId = Number(chainId);
-      const srcBlockNumber = this.blockNumber;
-      const txIndex = this.index;
+/**
+ * Describe polling settings for debug logs
+ *
+ * @param {Object} settings - Polling settings
+ * @returns {string} Human readable description
+ */
+function describePollingSettings(settings) {
+  const { pollingStrategy, maxAttempts, interval, waitUntil } = settings;
 
-      // Set options with defaults from config
-      const {
-        maxAttempts = polymerConfig.maxAttempts,
-        interval = polymerConfig.interval,
-        returnJob = false,
-        eventSignature,
-        logIndex: providedLogIndex,
-      } = options;
+  if (typeof pollingStrategy === "function") {
+    return "custom strategy";
+  }
+  if (pollingStrategy === "deadline") {
+    return `deadline strategy, interval ${interval}ms, budget ${waitUntil}ms`;
+  }
+  return `${pollingStrategy} strategy, max ${maxAttempts} attempts, interval ${interval}ms`;
+}
 
-      if (!eventSignature && typeof providedLogIndex !== "number") {
-        throw new Error("eventSignature or logIndex is required");
-      }
+/**
+ * Whether a selector names any way to match logs other than `logIndex`
+ *
+ * @param {Object} selector - Log selection options
+ * @returns {boolean}
+ */
+function hasLogSelector(selector) {
+  return ["eventSignature", "event", "address", "topics", "filter"].some(
+    (key) => selector[key] !== undefined && selector[key] !== null
+  );
+}
 
-      if (providedLogIndex !== undefined && providedLogIndex < 0) {
-        throw new Error("logIndex must be non-negative");
-      }
+/**
+ * Describe a log selector for error messages
+ *
+ * @param {Object} selector - Log selection options
+ * @returns {string} Human readable description
+ */
+function describeLogSelector(selector) {
+  const { eventSignature, event, address, topics, filter } = selector;
+  const parts = [];
 
-      let localLogIndex = providedLogIndex;
+  if (eventSignature) {
+    parts.push(`event ${eventSignature}`);
+  }
+  if (event) {
+    const name =
+      typeof event === "string"
+        ? event
+        : (event.fragment && event.fragment.format()) ||
+          (typeof event.format === "function" && event.format()) ||
+          "fragment";
+    parts.push(`event ${name}`);
+  }
+  if (address) {
+    parts.push(`address ${[].concat(address).join(" or ")}`);
+  }
+  if (topics) {
+    parts.push(`topics ${JSON.stringify(topics)}`);
+  }
+  if (filter) {
+    parts.push("custom filter");
+  }
 
-      if (typeof providedLogIndex !== "number") {
-        // Find the local log index of the target event
-        const eventTopic = ethers.id(eventSignature);
-        const foundIndex = this.logs.findIndex(
-          (log) => log.topics[0] === eventTopic
-        );
+  return parts.join(", ");
+}
 
-        if (foundIndex === -1) {
-          throw new Error(
-            `Event ${eventSignature} not found in transaction receipt`
-          );
-        }
+/**
+ * Summarize receipt logs for selection error messages
+ *
+ * @param {Object[]} logs - Receipt logs
+ * @param {number[]} [indexes] - Local indexes to include (default: all)
+ * @returns {Object[]} `{ logIndex, address, topics }` per log
+ */
+function summarizeLogs(logs, indexes) {
+  const selected = indexes || logs.map((log, index) => index);
+  return selected.map((index) => ({
+    logIndex: index,
+    address: logs[index].address,
+    topics: logs[index].topics,
+  }));
+}
 
-        localLogIndex = foundIndex;
-      }
+/**
+ * Check log topics against an ethers-style topic filter
+ *
+ * @param {string[]} logTopics - The log's topics
+ * @param {Array} topicFilter - null matches anything, arrays match any value
+ * @returns {boolean}
+ */
+function matchesTopicFilter(logTopics, topicFilter) {
+  return topicFilter.every((expected, i) => {
+    if (expected === undefined || expected === null) {
+      return true;
+    }
+    const actual = logTopics[i];
+    if (!actual) {
+      return false;
+    }
+    return []
+      .concat(expected)
+      .map(normalizeTopic)
+      .includes(actual.toLowerCase());
+  });
+}
 
-      logger.log("Transaction receipt details:", {
-        srcChainId,
-        srcBlockNumber,
-        txIndex,
-        localLogIndex,
-        transactionHash: this.hash,
-      });
+/**
+ * Normalize a topic value for comparison, padding bare addresses to 32 bytes
+ *
+ * @param {string} topic - Topic hex string or address
+ * @returns {string} Lowercase 32-byte topic
+ */
+function normalizeTopic(topic) {
+  const value = topic.toLowerCase();
+  if (value.length === 42) {
+    return "0x" + "0".repeat(24) + value.slice(2);
+  }
+  return value;
+}
 
-      // Request the proof
-      const jobId = await requestProof(
-        polymerConfig,
-        srcChainId,
-        srcBlockNumber,
-        txIndex,
-        localLogIndex
-      );
+/**
+ * Check that a concurrency setting is a positive integer
+ *
+ * Zero or a fraction would leave queued tasks waiting forever. Infinity
+ * means no limit.
+ *
+ * @param {number} value - The setting
+ * @param {string} name - Option name for the error message
+ */
+function assertConcurrency(value, name) {
+  const valid = Number.isInteger(value) || value === Infinity;
+  if (!valid || value < 1) {
+    throw new Error(`${name} must be a positive integer, got ${value}`);
+  }
+}
 
-      logger.log("Proof job created with ID:", jobId);
+/**
+ * Create a limiter that runs at most `concurrency` tasks at a time
+ *
+ * @param {number} concurrency - Maximum number of tasks in flight
+ * @returns {Function} `limit(task)` returning the task's promise
+ */
+function createConcurrencyLimit(concurrency) {
+  assertConcurrency(concurrency, "concurrency");
+  const queue = [];
+  let active = 0;
 
-      if (returnJob) {
-        return { jobId, receipt: this };
-      }
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) {
+      return;
+    }
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
 
-      // Poll for proof completion
-      return wait(polymerConfig, jobId, maxAttempts, interval);
-    };
-  }
+  return (task) =>
+    new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      next();
+    });
+}
 
-  /**
-   * Get the Polymer proof job status
-   *
-   * @param {string} jobId - The Polymer proof job ID
-   * @returns {Promise<Object>} The job status
-   */
-  ethers.TransactionResponse.prototype.polymerProofStatus = async function (
-    jobId
-  ) {
-    if (!jobId) {
-      throw new Error("Job ID is required");
-    }
+/**
+ * Create a token-bucket rate limiter with a concurrency cap
+ *
+ * `acquire` resolves in FIFO order once both a token and a concurrency
+ * slot are free, with a `release` function to call when the call settles.
+ *
+ * @param {Object} settings - `{ requestsPerSecond, burst, maxConcurrent, maxQueue }`, all optional
+ * @returns {Object} `{ acquire(signal), stats() }`
+ */
+function createRateLimiter(settings) {
+  const {
+    requestsPerSecond = Infinity,
+    burst = Math.max(1, Math.ceil(requestsPerSecond)),
+    maxConcurrent = Infinity,
+    maxQueue = Infinity,
+  } = settings;
+
+  if (!(requestsPerSecond > 0) || !(maxConcurrent > 0)) {
+    throw new Error(
+      "rateLimit requestsPerSecond and maxConcurrent must be positive"
+    );
+  }
+  if (!(burst >= 1)) {
+    throw new Error("rateLimit burst must be at least 1");
+  }
+  if (!(maxQueue >= 0)) {
+    throw new Error("rateLimit maxQueue must be non-negative");
+  }
 
-    return queryProofStatus(polymerConfig, jobId);
+  const queue = [];
+  const metrics = {
+    granted: 0,
+    rejected: 0,
+    totalWaitTime: 0,
+    maxWaitTime: 0,
   };
+  let tokens = burst;
+  let lastRefill = Date.now();
+  let active = 0;
+  let timer = null;
 
-  /**
-   * Get the Polymer proof job status
-   *
-   * @param {string} jobId - The Polymer proof job ID
-   * @returns {Promise<Object>} The job status
-   */
-  ethers.TransactionReceipt.prototype.polymerProofStatus = async function (
-    jobId
-  ) {
-    if (!jobId) {
-      throw new Error("Job ID is required");
+  const refill = () => {
+    if (requestsPerSecond === Infinity) {
+      tokens = burst;
+      return;
     }
-
-    return queryProofStatus(polymerConfig, jobId);
+    const now = Date.now();
+    tokens = Math.min(
+      burst,
+      tokens + ((now - lastRefill) / 1000) * requestsPerSecond
+    );
+    lastRefill = now;
   };
 
-  // Add standalone functions to the ethers object for direct use
-  ethers.polymer = {
-    /**
-     * Request a proof for a transaction
-     *
-     * @param {Object} params - Parameters for proof generation
-     * @param {number} [params.srcChainId] - Source chain ID
-     * @param {number} [params.srcBlockNumber] - Source block number
-     * @param {number} [params.txIndex] - Transaction index
-     * @param {number} [params.logIndex] - Log index
-     * @returns {Promise<string>} Job ID for the proof request
-     */
-    requestProof: async (params) => {
-      const { srcChainId, srcBlockNumber, txIndex, logIndex } = params;
-      return requestProof(
-        polymerConfig,
-        srcChainId,
-        srcBlockNumber,
-        txIndex,
-        logIndex
-      );
-    },
+  const pump = () => {
+    clearTimeout(timer);
+    timer = null;
 
-    /**
-     * Query the status of a proof generation job
-     *
-     * @param {string} jobId - Job ID from the proof request
-     * @returns {Promise<Object>} The job status
-     */
-    queryProofStatus: (jobId) => {
-      return queryProofStatus(polymerConfig, jobId);
-    },
+    while (queue.length > 0 && active < maxConcurrent) {
+      refill();
+      if (tokens < 1) {
+        // Come back when the next token is due
+        timer = setTimeout(
+          pump,
+          Math.ceil(((1 - tokens) / requestsPerSecond) * 1000)
+        );
+        return;
+      }
 
-    /**
-     * Poll for proof completion
-     *
-     * @param {string} jobId - Job ID from the proof request
-     * @param {number} [maxAttempts] - Maximum polling attempts
-     * @param {number} [interval] - Polling interval in ms
-     * @returns {Promise<Object>} The proof result
-     */
-    wait: (jobId, maxAttempts, interval) => {
-      return wait(
-        polymerConfig,
-        jobId,
-        maxAttempts || polymerConfig.maxAttempts,
-        interval || polymerConfig.interval
-      );
-    },
+      tokens--;
+      active++;
+      const waiter = queue.shift();
+      const waitTime = Date.now() - waiter.queuedAt;
+      metrics.granted++;
+      metrics.totalWaitTime += waitTime;
+      metrics.maxWaitTime = Math.max(metrics.maxWaitTime, waitTime);
+
+      let released = false;
+      waiter.grant(() => {
+        if (!released) {
+          released = true;
+          active--;
+          pump();
+        }
+      });
+    }
   };
-}
 
-/**
- * Request a Polymer proof for a transaction
- *
- * @param {Object} config - Polymer configuration
- * @param {number} srcChainId - Source chain ID
- * @param {number} srcBlockNumber - Source block number
- * @param {number} txIndex - Transaction index
- * @param {number} localLogIndex - Local log index
- * @returns {Promise<string>} Job ID for the proof request
- */
-async function requestProof(
-  config,
-  srcChainId,
-  srcBlockNumber,
-  txIndex,
-  localLogIndex
-) {
-  const method = "log_requestProof";
-  const params = [srcChainId, srcBlockNumber, txIndex, localLogIndex];
-
-  const logger = createLogger(config.debug);
-  logger.log("Requesting proof with params:", params);
+  const acquire = (signal) =>
+    new Promise((resolve, reject) => {
+      throwIfAborted(signal);
 
-  try {
-    const response = await fetch(config.apiUrl, {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${config.apiKey}`,
-        "Content-Type": "application/json",
-        Accept: "application/json",
-      },
-      body: JSON.stringify({
-        jsonrpc: "2.0",
-        id: 1,
-        method,
-        params,
-      }),
-    });
+      const onAbort = () => {
+        queue.splice(queue.indexOf(waiter), 1);
+        reject(new PolymerAbortError(signal.reason));
+      };
+      const waiter = {
+        queuedAt: Date.now(),
+        grant: (release) => {
+          if (signal) {
+            signal.removeEventListener("abort", onAbort);
+          }
+          resolve(release);
+        },
+      };
 
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
+      queue.push(waiter);
+      pump();
 
-    const data = await response.json();
+      // Calls that can go right away never count against the queue limit
+      if (queue.includes(waiter)) {
+        if (queue.length > maxQueue) {
+          queue.pop();
+          metrics.rejected++;
+          reject(new PolymerRateLimitError(maxQueue));
+        } else if (signal) {
+          signal.addEventListener("abort", onAbort, { once: true });
+        }
+      }
+    });
 
-    if (data.error) {
-      throw new Error(`Polymer API error: ${JSON.stringify(data.error)}`);
-    }
+  return {
+    acquire,
+    stats: () => ({
+      queued: queue.length,
+      active,
+      ...metrics,
+      averageWaitTime: metrics.granted
+        ? metrics.totalWaitTime / metrics.granted
+        : 0,
+    }),
+  };
+}
 
-    return data.result;
-  } catch (error) {
-    logger.error("Error requesting proof:", error);
-    throw error;
+/**
+ * Decide whether a failed JSON-RPC call is worth retrying
+ *
+ * Network failures and request timeouts are always retried; HTTP and
+ * JSON-RPC errors only when their status or code is in the policy.
+ *
+ * @param {Error} error - The error thrown by the transport
+ * @param {Object} policy - Retry policy
+ * @returns {boolean} Whether the call should be retried
+ */
+function isRetryableError(error, policy) {
+  if (error instanceof PolymerAbortError) {
+    return false;
+  }
+  if (error instanceof PolymerHttpError) {
+    return policy.retryableStatuses.includes(error.status);
   }
+  if (error instanceof PolymerRpcError) {
+    return policy.retryableRpcCodes.includes(error.code);
+  }
+  return (
+    error instanceof PolymerNetworkError ||
+    error instanceof PolymerRequestTimeoutError
+  );
 }
 
 /**
- * Query the status of a proof generation job
+ * Compute the delay before the next retry
  *
- * @param {Object} config - Polymer configuration
- * @param {string} jobId - Job ID from the proof request
- * @returns {Promise<Object>} The job status
+ * Honors a `Retry-After` header (seconds or HTTP date) when the API sends
+ * one, otherwise uses exponential backoff with jitter. A `Retry-After`
+ * beyond `maxDelay` gives null, as retrying earlier would only fail again.
+ *
+ * @param {Error} error - The error that triggered the retry
+ * @param {number} attempt - Zero-based retry number
+ * @param {Object} policy - Retry policy
+ * @returns {number|null} Delay in ms, or null to give up
  */
-async function queryProofStatus(config, jobId) {
-  const logger = createLogger(config.debug);
-  logger.log("Querying proof status for job:", jobId);
+function getRetryDelay(error, attempt, policy) {
+  const retryAfter =
+    error instanceof PolymerHttpError && error.headers
+      ? parseRetryAfter(error.headers.get("retry-after"))
+      : null;
 
-  try {
-    const response = await fetch(config.apiUrl, {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${config.apiKey}`,
-        "Content-Type": "application/json",
-        Accept: "application/json",
-      },
-      body: JSON.stringify({
-        jsonrpc: "2.0",
-        id: 1,
-        method: "log_queryProof",
-        params: [jobId],
-      }),
-    });
+  if (retryAfter !== null) {
+    return retryAfter <= policy.maxDelay ? retryAfter : null;
+  }
 
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
+  const backoff = Math.min(
+    policy.baseDelay * Math.pow(2, attempt),
+    policy.maxDelay
+  );
+  return Math.round(backoff * (1 - policy.jitter * Math.random()));
+}
 
-    const data = await response.json();
+/**
+ * Parse a Retry-After header value into milliseconds
+ *
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in ms, or null if absent or invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
 
-    if (data.error) {
-      throw new Error(`Polymer API error: ${JSON.stringify(data.error)}`);
-    }
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
 
-    return data.result;
-  } catch (error) {
-    logger.error("Error querying proof status:", error);
-    throw error;
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
   }
+
+  return null;
 }
 
 /**
- * Poll for proof completion
+ * Settle with the promise, or reject early if the signal aborts
  *
- * @param {Object} config - Polymer configuration
- * @param {string} jobId - Job ID from the proof request
- * @param {number} maxAttempts - Maximum polling attempts
- * @param {number} interval - Polling interval in ms
- * @returns {Promise<Object>} The proof result
- */
-async function wait(config, jobId, maxAttempts, interval) {
-  const logger = createLogger(config.debug);
-  logger.log(
-    `Polling for proof completion (max ${maxAttempts} attempts, interval ${interval}ms)`
-  );
-
-  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-    logger.log(`Polling attempt ${attempt}/${maxAttempts}`);
+ * @param {Promise} promise - The promise to follow
+ * @param {AbortSignal} [signal] - Optional abort signal
+ * @returns {Promise} The promise's outcome, or a PolymerAbortError
+ */
+function withSignal(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
 
-    const result = await queryProofStatus(config, jobId);
+  return new Promise((resolve, reject) => {
+    throwIfAborted(signal);
 
-    if (result.status === "complete") {
-      logger.log("Proof generation complete!");
-      return result;
-    }
+    const onAbort = () => reject(new PolymerAbortError(signal.reason));
+    signal.addEventListener("abort", onAbort, { once: true });
 
-    if (result.status === "error") {
-      throw new Error(
-        `Proof generation failed: ${result.failureReason || "Unknown error"}`
-      );
-    }
+    promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener("abort", onAbort));
+  });
+}
 
-    if (attempt < maxAttempts) {
-      logger.log(`Waiting ${interval}ms before next attempt...`);
-      await new Promise((resolve) => setTimeout(resolve, interval));
-    }
+/**
+ * Throw an AbortError if the signal has already been aborted
+ *
+ * @param {AbortSignal} [signal] - Optional abort signal
+ */
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw new PolymerAbortError(signal.reason);
   }
+}
+
+/**
+ * Wait for the given duration, rejecting early if the signal aborts
+ *
+ * @param {number} ms - Duration in ms
+ * @param {AbortSignal} [signal] - Optional abort signal
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    throwIfAborted(signal);
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new PolymerAbortError(signal.reason));
+    };
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener("abort", onAbort);
+      }
+      resolve();
+    }, ms);
 
-  throw new Error(`Proof generation timed out after ${maxAttempts} attempts`);
+    if (signal) {
+      signal.addEventListener("abort", onAbort, { once: true });
+    }
+  });
 }
 
 /**
@@ -420,8 +4263,70 @@ function createLogger(enabled = false) {
 
 // Export for browser and Node.js environments
 if (typeof module !== "undefined" && module.exports) {
-  module.exports = { addPolymerToEthers };
+  module.exports = {
+    addPolymerToEthers,
+    PolymerClient,
+    PolymerAutoProver,
+    PolymerError,
+    PolymerHttpError,
+    PolymerRpcError,
+    PolymerNetworkError,
+    PolymerRequestTimeoutError,
+    PolymerAbortError,
+    PolymerProofFailedError,
+    PolymerPollingTimeoutError,
+    PolymerLogNotFoundError,
+    PolymerAmbiguousLogError,
+    PolymerProofDecodeError,
+    PolymerProofMismatchError,
+    PolymerRelayError,
+    PolymerReorgError,
+    PolymerTransactionReplacedError,
+    PolymerTransactionRevertedError,
+    PolymerRateLimitError,
+    PolymerUnsupportedChainError,
+    MemoryJobStore,
+    KeyValueJobStore,
+    LruProofCache,
+    getJobKey,
+    decodeProof,
+    verifyProofMatchesReceipt,
+    proofToHex,
+    CROSS_L2_PROVER_ABI,
+    CROSS_L2_PROVER_ADDRESSES,
+    POLYMER_NETWORKS,
+  };
 } else {
   // Browser export
   window.addPolymerToEthers = addPolymerToEthers;
+  window.PolymerClient = PolymerClient;
+  window.PolymerAutoProver = PolymerAutoProver;
+  window.PolymerError = PolymerError;
+  window.PolymerHttpError = PolymerHttpError;
+  window.PolymerRpcError = PolymerRpcError;
+  window.PolymerNetworkError = PolymerNetworkError;
+  window.PolymerRequestTimeoutError = PolymerRequestTimeoutError;
+  window.PolymerAbortError = PolymerAbortError;
+  window.PolymerProofFailedError = PolymerProofFailedError;
+  window.PolymerPollingTimeoutError = PolymerPollingTimeoutError;
+  window.PolymerLogNotFoundError = PolymerLogNotFoundError;
+  window.PolymerAmbiguousLogError = PolymerAmbiguousLogError;
+  window.PolymerProofDecodeError = PolymerProofDecodeError;
+  window.PolymerProofMismatchError = PolymerProofMismatchError;
+  window.PolymerRelayError = PolymerRelayError;
+  window.PolymerReorgError = PolymerReorgError;
+  window.PolymerTransactionReplacedError = PolymerTransactionReplacedError;
+  window.PolymerTransactionRevertedError = PolymerTransactionRevertedError;
+  window.PolymerRateLimitError = PolymerRateLimitError;
+  window.PolymerUnsupportedChainError = PolymerUnsupportedChainError;
+  window.MemoryJobStore = MemoryJobStore;
+  window.KeyValueJobStore = KeyValueJobStore;
+  window.LruProofCache = LruProofCache;
+  window.getJobKey = getJobKey;
+  window.decodeProof = decodeProof;
+  window.verifyProofMatchesReceipt = verifyProofMatchesReceipt;
+  window.proofToHex = proofToHex;
+  window.CROSS_L2_PROVER_ABI = CROSS_L2_PROVER_ABI;
+  window.CROSS_L2_PROVER_ADDRESSES = CROSS_L2_PROVER_ADDRESSES;
+  window.POLYMER_NETWORKS = POLYMER_NETWORKS;
 }
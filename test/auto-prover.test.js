@@ -0,0 +1,259 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { PolymerProofFailedError } = require("../src/polymer-ethers-plugin");
+const { ethers, createClient, makeReceipt } = require("./fixtures");
+
+/**
+ * Simulated source chain with one Transfer log per transaction
+ *
+ * Blocks are identified by number and fork, so a reorg is a fork bump of
+ * the blocks it replaces.
+ */
+function createChain(head) {
+  const chain = {
+    head,
+    forks: new Map(),
+    receipts: [],
+    getLogsCalls: [],
+  };
+  const hashOf = (number) =>
+    ethers.id(`block-${number}-${chain.forks.get(number) || 0}`);
+  const canonical = () =>
+    chain.receipts.filter(
+      (receipt) => receipt.blockHash === hashOf(receipt.blockNumber)
+    );
+
+  chain.provider = {
+    getNetwork: async () => ({ chainId: 11155420n }),
+    getBlockNumber: async () => chain.head,
+    getBlock: async (number) =>
+      number <= chain.head ? { number, hash: hashOf(number) } : null,
+    getLogs: async ({ fromBlock, toBlock }) => {
+      chain.getLogsCalls.push([fromBlock, toBlock]);
+      return canonical()
+        .filter((r) => r.blockNumber >= fromBlock && r.blockNumber <= toBlock)
+        .map((receipt) => receipt.logs[0]);
+    },
+    getTransactionReceipt: async (hash) =>
+      canonical().find((receipt) => receipt.hash === hash) || null,
+  };
+
+  chain.addTransaction = (blockNumber) => {
+    const fork = chain.forks.get(blockNumber) || 0;
+    const receipt = makeReceipt(chain.provider, {
+      hash: ethers.id(`tx-${blockNumber}-${fork}`),
+      index: 0,
+      blockNumber,
+      blockHash: hashOf(blockNumber),
+    });
+    chain.receipts.push(receipt);
+    return receipt;
+  };
+
+  chain.reorg = (fromBlock) => {
+    for (let number = fromBlock; number <= chain.head; number++) {
+      chain.forks.set(number, (chain.forks.get(number) || 0) + 1);
+    }
+  };
+
+  chain.hashOf = hashOf;
+  return chain;
+}
+
+/**
+ * Key-value checkpoint store
+ */
+function createStore() {
+  const values = new Map();
+  return {
+    values,
+    get: async (key) => values.get(key),
+    set: async (key, value) => {
+      values.set(key, value);
+    },
+  };
+}
+
+/**
+ * Resolve once `predicate` holds, failing after `timeout` ms
+ */
+async function waitFor(predicate, timeout = 2000) {
+  const started = Date.now();
+  while (!predicate()) {
+    if (Date.now() - started > timeout) {
+      throw new Error("Timed out waiting for the auto prover");
+    }
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+describe("PolymerAutoProver", () => {
+  it("proves new logs and checkpoints every scanned range", async () => {
+    const { client } = createClient();
+    const chain = createChain(103);
+    chain.addTransaction(101);
+    chain.addTransaction(103);
+    const store = createStore();
+    const proofs = [];
+
+    const prover = client.createAutoProver({
+      provider: chain.provider,
+      filter: {},
+      fromBlock: 101,
+      maxBlockRange: 2,
+      pollInterval: 5,
+      checkpointStore: store,
+      onProof: (proof) => proofs.push(proof),
+    });
+    await waitFor(
+      () => prover.checkpoint && prover.checkpoint.blockNumber === 103
+    );
+    await prover.stop();
+
+    assert.deepEqual(
+      proofs.map((proof) => proof.receipt.blockNumber),
+      [101, 103]
+    );
+    assert.equal(proofs[0].result.status, "complete");
+    assert.deepEqual(chain.getLogsCalls.slice(0, 2), [
+      [101, 102],
+      [103, 103],
+    ]);
+    assert.deepEqual(store.values.get("polymer-auto-prover"), {
+      blockNumber: 103,
+      blockHash: chain.hashOf(103),
+    });
+
+    // A new auto prover resumes after the stored checkpoint
+    chain.head = 104;
+    chain.addTransaction(104);
+    const resumed = client.createAutoProver({
+      provider: chain.provider,
+      filter: {},
+      fromBlock: 101,
+      pollInterval: 5,
+      checkpointStore: store,
+      onProof: (proof) => proofs.push(proof),
+    });
+    await waitFor(() => proofs.length === 3);
+    await resumed.stop();
+
+    assert.equal(proofs[2].receipt.blockNumber, 104);
+  });
+
+  it("rescans reorganized blocks without proving a log twice", async () => {
+    const { client } = createClient();
+    const chain = createChain(103);
+    chain.addTransaction(101);
+    chain.addTransaction(103);
+    const proofs = [];
+
+    const prover = client.createAutoProver({
+      provider: chain.provider,
+      filter: {},
+      fromBlock: 101,
+      pollInterval: 5,
+      reorgDepth: 3,
+      onProof: (proof) => proofs.push(proof),
+    });
+    await waitFor(() => proofs.length === 2);
+
+    chain.reorg(103);
+    const replacement = chain.addTransaction(103);
+    await waitFor(() => proofs.length === 3);
+    await waitFor(() => prover.checkpoint.blockHash === chain.hashOf(103));
+    await prover.stop();
+
+    assert.equal(proofs[2].receipt.hash, replacement.hash);
+    assert.equal(chain.getLogsCalls.filter(([from]) => from === 101).length, 2);
+    assert.equal(
+      proofs.filter((proof) => proof.receipt.blockNumber === 101).length,
+      1
+    );
+  });
+
+  it("retries failed proofs before reporting them", async () => {
+    const { client, mock } = createClient();
+    const chain = createChain(101);
+    chain.addTransaction(101);
+    chain.addTransaction(102);
+    mock.nextJob({ error: "Prover busy" });
+    const proofs = [];
+    const errors = [];
+
+    const prover = client.createAutoProver({
+      provider: chain.provider,
+      filter: {},
+      fromBlock: 101,
+      pollInterval: 5,
+      retries: 1,
+      onProof: (proof) => proofs.push(proof),
+      onError: (error, log) => errors.push({ error, log }),
+    });
+    await waitFor(() => proofs.length === 1);
+    assert.deepEqual(errors, []);
+
+    // Out of retries, the failure goes to onError with its log
+    mock.nextJob({ error: "Log not indexed" });
+    mock.nextJob({ error: "Log not indexed" });
+    chain.head = 102;
+    await waitFor(() => errors.length === 1);
+    await prover.stop();
+
+    assert(errors[0].error instanceof PolymerProofFailedError);
+    assert.equal(errors[0].log.blockNumber, 102);
+    assert.equal(prover.checkpoint.blockNumber, 102);
+  });
+
+  it("yields proofs from the async iterator and stops on break", async () => {
+    const { client } = createClient();
+    const chain = createChain(102);
+    chain.addTransaction(101);
+    chain.addTransaction(102);
+    const blocks = [];
+
+    const prover = client.createAutoProver({
+      provider: chain.provider,
+      filter: {},
+      fromBlock: 101,
+      pollInterval: 5,
+    });
+    for await (const proof of prover) {
+      blocks.push(proof.receipt.blockNumber);
+      if (blocks.length === 2) {
+        break;
+      }
+    }
+
+    assert.deepEqual(blocks, [101, 102]);
+    assert.equal(prover.running, false);
+  });
+
+  it("aborts proofs in progress on stop without checkpointing them", async () => {
+    const { client, mock } = createClient();
+    const chain = createChain(101);
+    chain.addTransaction(101);
+    mock.nextJob({ pending: 100000 });
+    const errors = [];
+
+    const prover = client.createAutoProver({
+      provider: chain.provider,
+      filter: {},
+      fromBlock: 101,
+      pollInterval: 5,
+      onError: (error) => errors.push(error),
+    });
+    await waitFor(() => mock.jobs.size === 1);
+    await prover.stop();
+
+    assert.equal(prover.running, false);
+    assert.deepEqual(prover.checkpoint, { blockNumber: 100, blockHash: null });
+    assert.deepEqual(errors, []);
+
+    // The iterator of a stopped prover is done
+    assert.deepEqual(await prover[Symbol.asyncIterator]().next(), {
+      value: undefined,
+      done: true,
+    });
+  });
+});
@@ -0,0 +1,166 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  PolymerClient,
+  PolymerAutoProver,
+  PolymerProofFailedError,
+} = require("../src/polymer-ethers-plugin");
+const { MockPolymerServer } = require("../src/mock-server");
+const { createClient, source } = require("./fixtures");
+
+describe("requestProofs", () => {
+  it("proves every item and reports failures per item", async () => {
+    const { client, mock } = createClient();
+    mock.nextJob({ pending: 1 });
+    mock.nextJob({ error: "Log not found" });
+    mock.nextJob({});
+
+    const results = await client.requestProofs([
+      source(0),
+      source(1),
+      source(2),
+    ]);
+
+    assert.deepEqual(
+      results.map((entry) => entry.params.logIndex),
+      [0, 1, 2]
+    );
+    assert.equal(results[0].result.status, "complete");
+    assert(results[1].error instanceof PolymerProofFailedError);
+    assert.equal(results[1].result, null);
+    assert.equal(results[2].result.status, "complete");
+  });
+
+  it("keeps at most `concurrency` requests in flight", async () => {
+    const mock = new MockPolymerServer();
+    let active = 0;
+    let maxActive = 0;
+    const client = new PolymerClient({
+      apiKey: "test",
+      interval: 1,
+      transport: {
+        request: async (method, params, options) => {
+          if (method === "log_requestProof") {
+            active++;
+            maxActive = Math.max(maxActive, active);
+            await new Promise((resolve) => setTimeout(resolve, 5));
+            active--;
+          }
+          return mock.request(method, params, options);
+        },
+      },
+    });
+
+    const items = Array.from({ length: 6 }, (_, i) => source(i));
+    const results = await client.requestProofs(items, { concurrency: 2 });
+
+    assert(results.every((entry) => entry.result));
+    assert.equal(maxActive, 2);
+  });
+
+  it("rejects a concurrency that is not a positive integer", async () => {
+    const { client, mock } = createClient();
+
+    for (const concurrency of [0, -1, 1.5, NaN]) {
+      await assert.rejects(
+        client.requestProofs([source(0)], { concurrency }),
+        /concurrency must be a positive integer/
+      );
+    }
+    assert.throws(
+      () => new PolymerClient({ apiKey: "test", batchConcurrency: 0 }),
+      /batchConcurrency must be a positive integer/
+    );
+    assert.throws(
+      () =>
+        new PolymerAutoProver(client, {
+          provider: {},
+          filter: {},
+          concurrency: 0,
+        }),
+      /concurrency must be a positive integer/
+    );
+    assert.equal(mock.requests.length, 0);
+  });
+
+  it("only requests the jobs with returnJob", async () => {
+    const { client, mock } = createClient();
+
+    const results = await client.requestProofs([source(0), source(1)], {
+      returnJob: true,
+    });
+
+    assert.deepEqual(
+      results.map((entry) => entry.jobId),
+      [1, 2]
+    );
+    assert(mock.requests.every((r) => r.method === "log_requestProof"));
+  });
+});
+
+describe("JSON-RPC batching", () => {
+  it("coalesces concurrent calls into one HTTP request", async () => {
+    const mock = new MockPolymerServer();
+    const bodies = [];
+    const client = new PolymerClient({
+      apiKey: "test",
+      jsonRpcBatch: { window: 5 },
+      fetch: (url, init) => {
+        bodies.push(JSON.parse(init.body));
+        return mock.fetch(url, init);
+      },
+    });
+
+    const jobIds = await Promise.all([
+      client.requestProof(source(0)),
+      client.requestProof(source(1)),
+      client.requestProof(source(2)),
+    ]);
+
+    assert.equal(bodies.length, 1);
+    assert.equal(bodies[0].length, 3);
+    assert.deepEqual(jobIds, [1, 2, 3]);
+  });
+
+  it("splits batches larger than maxSize", async () => {
+    const mock = new MockPolymerServer();
+    const bodies = [];
+    const client = new PolymerClient({
+      apiKey: "test",
+      jsonRpcBatch: { window: 5, maxSize: 2 },
+      fetch: (url, init) => {
+        bodies.push(JSON.parse(init.body));
+        return mock.fetch(url, init);
+      },
+    });
+
+    await Promise.all([0, 1, 2].map((i) => client.requestProof(source(i))));
+
+    assert.deepEqual(
+      bodies.map((body) => (Array.isArray(body) ? body.length : 1)),
+      [2, 1]
+    );
+  });
+
+  it("fails only the call that returned an error", async () => {
+    const mock = new MockPolymerServer();
+    const client = new PolymerClient({
+      apiKey: "test",
+      jsonRpcBatch: true,
+      retry: false,
+      fetch: mock.fetch,
+    });
+    mock.failNext("log_queryProof", {
+      rpcError: { code: -32000, message: "Busy" },
+    });
+
+    const [failed, ok] = await Promise.allSettled([
+      client.queryProofStatus(1),
+      client.requestProof(source()),
+    ]);
+
+    assert.equal(failed.status, "rejected");
+    assert.equal(failed.reason.code, -32000);
+    assert.equal(ok.value, 1);
+  });
+});
@@ -0,0 +1,153 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { execFile } = require("node:child_process");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { MockPolymerServer } = require("../src/mock-server");
+const { source } = require("./fixtures");
+
+const CLI = path.join(__dirname, "..", "bin", "polymer-proof.js");
+
+/**
+ * Run the CLI against an API URL, from a directory without a .env file
+ *
+ * @returns {Promise<Object>} `{ code, stdout, stderr }`
+ */
+function run(args, apiUrl, cwd) {
+  const env = { ...process.env, POLYMER_API_KEY: "test" };
+  delete env.POLYMER_API_URL;
+  delete env.POLYMER_NETWORK;
+
+  return new Promise((resolve) => {
+    execFile(
+      process.execPath,
+      [CLI, ...args, "--api-url", apiUrl],
+      { env, cwd, timeout: 30000 },
+      (error, stdout, stderr) => {
+        resolve({ code: error ? error.code : 0, stdout, stderr });
+      }
+    );
+  });
+}
+
+describe("polymer-proof CLI", () => {
+  const mock = new MockPolymerServer();
+  let apiUrl;
+  let dir;
+
+  before(async () => {
+    apiUrl = await mock.listen();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "polymer-proof-"));
+  });
+
+  after(async () => {
+    await mock.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Write a batch file and return its path
+   */
+  function writeBatch(items) {
+    const file = path.join(dir, `batch-${Date.now()}-${Math.random()}.json`);
+    fs.writeFileSync(file, JSON.stringify(items));
+    return file;
+  }
+
+  it("exits 2 on usage errors", async () => {
+    const unknown = await run(["frobnicate"], apiUrl, dir);
+    const missingJob = await run(["status"], apiUrl, dir);
+    const zero = await run(
+      ["batch", writeBatch([source(0)]), "--concurrency", "0"],
+      apiUrl,
+      dir
+    );
+
+    assert.equal(unknown.code, 2);
+    assert.equal(missingJob.code, 2);
+    assert.equal(zero.code, 2);
+    assert.match(zero.stdout, /--concurrency must be an integer of at least 1/);
+  });
+
+  it("exits 3 on HTTP errors", async () => {
+    mock.failNext("log_queryProof", { httpStatus: 401 });
+
+    const { code } = await run(["status", "1"], apiUrl, dir);
+
+    assert.equal(code, 3);
+  });
+
+  it("exits 3 when the API cannot be reached", async () => {
+    const closed = new MockPolymerServer();
+    const closedUrl = await closed.listen();
+    await closed.close();
+
+    const { code } = await run(["status", "1"], closedUrl, dir);
+
+    assert.equal(code, 3);
+  });
+
+  it("exits 4 on JSON-RPC errors", async () => {
+    mock.failNext("log_queryProof", {
+      rpcError: { code: -32602, message: "Invalid params" },
+    });
+
+    const { code, stderr } = await run(["status", "1", "--json"], apiUrl, dir);
+
+    assert.equal(code, 4);
+    assert.equal(JSON.parse(stderr).error.code, -32602);
+  });
+
+  it("exits 5 when proof generation fails", async () => {
+    mock.nextJob({ error: "Log not found" });
+    const { srcChainId, srcBlockNumber, txIndex, logIndex } = source(9);
+    const jobId = await mock.request("log_requestProof", [
+      srcChainId,
+      srcBlockNumber,
+      txIndex,
+      logIndex,
+    ]);
+
+    const { code } = await run(
+      ["wait", String(jobId), "--interval", "1"],
+      apiUrl,
+      dir
+    );
+
+    assert.equal(code, 5);
+  });
+
+  it("proves every batch item and reports failures per item", async () => {
+    mock.nextJob({});
+    mock.nextJob({ error: "Log not found" });
+    const file = writeBatch([source(0), source(1)]);
+
+    const { code, stdout } = await run(
+      ["batch", file, "--concurrency", "1", "--interval", "1", "--json"],
+      apiUrl,
+      dir
+    );
+    const results = JSON.parse(stdout);
+
+    assert.equal(code, 8);
+    assert.equal(results.length, 2);
+    assert.equal(results[0].result.status, "complete");
+    assert.equal(results[0].error, null);
+    assert.equal(results[1].result, null);
+    assert.equal(results[1].error.name, "PolymerProofFailedError");
+  });
+
+  it("exits 0 when every batch item is proven", async () => {
+    const file = writeBatch([source(2), source(3)]);
+
+    const { code, stdout } = await run(
+      ["batch", file, "--interval", "1", "--json"],
+      apiUrl,
+      dir
+    );
+
+    assert.equal(code, 0);
+    assert(JSON.parse(stdout).every((entry) => entry.result));
+  });
+});
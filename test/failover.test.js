@@ -0,0 +1,112 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  PolymerClient,
+  MemoryJobStore,
+} = require("../src/polymer-ethers-plugin");
+const { MockPolymerServer } = require("../src/mock-server");
+const { source } = require("./fixtures");
+
+const PRIMARY = "https://primary.example";
+const SECONDARY = "https://secondary.example";
+
+/**
+ * Two mock APIs behind one fetch, routed by URL
+ */
+function createEndpoints() {
+  const mocks = {
+    [PRIMARY]: new MockPolymerServer(),
+    [SECONDARY]: new MockPolymerServer(),
+  };
+  const fetch = (url, init) => mocks[url].fetch(url, init);
+  return { primary: mocks[PRIMARY], secondary: mocks[SECONDARY], fetch };
+}
+
+describe("endpoint failover", () => {
+  it("moves to the next endpoint and pins the job to it", async () => {
+    const { primary, secondary, fetch } = createEndpoints();
+    const client = new PolymerClient({
+      apiKey: "test",
+      endpoints: [PRIMARY, SECONDARY],
+      fetch,
+      interval: 1,
+      retry: { maxRetries: 1, baseDelay: 1 },
+    });
+    primary.failNext("log_requestProof", { httpStatus: 503 });
+    secondary.nextJob({ pending: 2 });
+
+    const jobId = await client.requestProof(source());
+    const result = await client.wait(jobId);
+
+    assert.equal(result.status, "complete");
+    assert.equal(client.transport.getJobEndpoint(jobId), SECONDARY);
+    assert.equal(
+      primary.requests.filter((r) => r.method === "log_queryProof").length,
+      0
+    );
+
+    const [primaryHealth, secondaryHealth] = client.getEndpointHealth();
+    assert.equal(primaryHealth.healthy, false);
+    assert.equal(primaryHealth.failures, 1);
+    assert.equal(secondaryHealth.healthy, true);
+  });
+
+  it("skips an endpoint while it cools down", async () => {
+    const { primary, secondary, fetch } = createEndpoints();
+    const client = new PolymerClient({
+      apiKey: "test",
+      endpoints: [PRIMARY, SECONDARY],
+      fetch,
+      retry: { maxRetries: 1, baseDelay: 1 },
+    });
+    primary.failNext("log_requestProof", { httpStatus: 503 });
+
+    await client.requestProof(source(0));
+    await client.requestProof(source(1));
+
+    assert.equal(primary.requests.length, 1);
+    assert.equal(secondary.requests.length, 2);
+  });
+
+  it("does not fail over on client errors", async () => {
+    const { primary, secondary, fetch } = createEndpoints();
+    const client = new PolymerClient({
+      apiKey: "test",
+      endpoints: [PRIMARY, SECONDARY],
+      fetch,
+      retry: false,
+    });
+    primary.failNext("log_requestProof", { httpStatus: 401 });
+
+    await assert.rejects(
+      client.requestProof(source()),
+      (error) => error.status === 401
+    );
+    assert.equal(secondary.requests.length, 0);
+  });
+
+  it("restores job pins from the job store", async () => {
+    const { secondary, fetch } = createEndpoints();
+    const jobStore = new MemoryJobStore();
+    const first = new PolymerClient({
+      apiKey: "test",
+      endpoints: [SECONDARY, PRIMARY],
+      fetch,
+      jobStore,
+    });
+    secondary.nextJob({ pending: 1 });
+    await first.requestProof(source());
+
+    const restarted = new PolymerClient({
+      apiKey: "test",
+      endpoints: [PRIMARY, SECONDARY],
+      fetch,
+      jobStore,
+      interval: 1,
+    });
+    const [resumed] = await restarted.resumePending();
+
+    assert.equal(resumed.result.status, "complete");
+    assert.equal(resumed.record.endpoint, SECONDARY);
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Shared fixtures for the test suite
+ */
+
+const { ethers } = require("ethers");
+const { PolymerClient } = require("../src/polymer-ethers-plugin");
+const { MockPolymerServer } = require("../src/mock-server");
+
+const ABI = [
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+  "event Approval(address indexed owner, address indexed spender, uint256 value)",
+];
+const iface = new ethers.Interface(ABI);
+
+const ALICE = "0x" + "a".repeat(40);
+const BOB = "0x" + "b".repeat(40);
+const TOKEN = "0x" + "1".repeat(40);
+const OTHER_TOKEN = "0x" + "2".repeat(40);
+
+const TX_HASH = "0x" + "3".repeat(64);
+const BLOCK_HASH = "0x" + "4".repeat(64);
+const BLOCK_NUMBER = 123456;
+const TX_INDEX = 2;
+
+/**
+ * Source coordinates of a log, as passed to `requestProof`
+ *
+ * @param {number} [logIndex] - Local log index
+ * @returns {Object} `{ srcChainId, srcBlockNumber, txIndex, logIndex }`
+ */
+function source(logIndex = 0) {
+  return {
+    srcChainId: 11155420,
+    srcBlockNumber: BLOCK_NUMBER,
+    txIndex: TX_INDEX,
+    logIndex,
+  };
+}
+
+/**
+ * Provider stub for a chain whose head is a few blocks past the receipt
+ *
+ * @param {Object} [overrides] - Methods to replace
+ * @returns {Object} Provider stub
+ */
+function createProvider(overrides = {}) {
+  return {
+    getNetwork: async () => ({ chainId: 11155420n }),
+    getBlockNumber: async () => BLOCK_NUMBER + 10,
+    getBlock: async (tag) => ({
+      number: typeof tag === "number" ? tag : BLOCK_NUMBER + 10,
+      hash: BLOCK_HASH,
+    }),
+    getTransactionReceipt: async () => null,
+    ...overrides,
+  };
+}
+
+/**
+ * Build a receipt with four logs:
+ * 0. Transfer on TOKEN (Alice to Bob)
+ * 1. Approval on TOKEN
+ * 2. Transfer on OTHER_TOKEN (Bob to Alice)
+ * 3. Transfer on TOKEN (Bob to Alice)
+ *
+ * @param {Object} [provider] - Provider the receipt is attached to (default: createProvider())
+ * @param {Object} [fields] - Receipt fields to replace, also applied to the logs where they overlap
+ * @returns {Object} ethers.js TransactionReceipt
+ */
+function makeReceipt(provider = createProvider(), fields = {}) {
+  const {
+    hash = TX_HASH,
+    index = TX_INDEX,
+    blockHash = BLOCK_HASH,
+    blockNumber = BLOCK_NUMBER,
+  } = fields;
+  const logs = [
+    [TOKEN, "Transfer", [ALICE, BOB, 1]],
+    [TOKEN, "Approval", [ALICE, BOB, 2]],
+    [OTHER_TOKEN, "Transfer", [BOB, ALICE, 3]],
+    [TOKEN, "Transfer", [BOB, ALICE, 4]],
+  ].map(([address, name, args], i) => ({
+    address,
+    ...iface.encodeEventLog(name, args),
+    index: 40 + i,
+    transactionIndex: index,
+    blockNumber,
+    blockHash,
+    transactionHash: hash,
+    removed: false,
+  }));
+
+  return new ethers.TransactionReceipt(
+    {
+      to: TOKEN,
+      from: ALICE,
+      contractAddress: null,
+      hash,
+      index,
+      blockHash,
+      blockNumber,
+      logsBloom: "0x",
+      logs,
+      gasUsed: 0,
+      cumulativeGasUsed: 0,
+      gasPrice: 0,
+      type: 2,
+      status: 1,
+      root: null,
+      ...fields,
+    },
+    provider
+  );
+}
+
+/**
+ * Create a client talking to a fresh in-process mock API
+ *
+ * @param {Object} [config] - Client options
+ * @returns {Object} `{ client, mock }`
+ */
+function createClient(config = {}) {
+  const mock = new MockPolymerServer();
+  const client = new PolymerClient({
+    apiKey: "test",
+    transport: mock,
+    interval: 1,
+    retry: { baseDelay: 1 },
+    ethers,
+    ...config,
+  });
+  return { client, mock };
+}
+
+module.exports = {
+  ethers,
+  iface,
+  ALICE,
+  BOB,
+  TOKEN,
+  OTHER_TOKEN,
+  TX_HASH,
+  BLOCK_HASH,
+  BLOCK_NUMBER,
+  TX_INDEX,
+  source,
+  createProvider,
+  makeReceipt,
+  createClient,
+};
@@ -0,0 +1,173 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  PolymerClient,
+  MemoryJobStore,
+  KeyValueJobStore,
+} = require("../src/polymer-ethers-plugin");
+const { FileJobStore } = require("../src/file-job-store");
+const { MockPolymerServer } = require("../src/mock-server");
+const { createClient, source } = require("./fixtures");
+
+/**
+ * Async Map adapter that answers after a random delay, so concurrent
+ * writes interleave
+ */
+function createSlowAdapter() {
+  const values = new Map();
+  const tick = () =>
+    new Promise((resolve) => setTimeout(resolve, Math.random() * 5));
+  return {
+    values,
+    get: async (key) => {
+      await tick();
+      return values.get(key);
+    },
+    set: async (key, value) => {
+      await tick();
+      values.set(key, value);
+    },
+    delete: async (key) => {
+      await tick();
+      values.delete(key);
+    },
+  };
+}
+
+describe("proof cache", () => {
+  it("answers repeated requests for a log without the API", async () => {
+    const { client, mock } = createClient({ cache: true });
+
+    const first = await client.wait(await client.requestProof(source()));
+    const requests = mock.requests.length;
+    const jobId = await client.requestProof(source());
+    const second = await client.wait(jobId);
+
+    assert.equal(jobId, 1);
+    assert.deepEqual(second, first);
+    assert.equal(mock.requests.length, requests);
+  });
+
+  it("expires entries after the ttl", async () => {
+    const { client, mock } = createClient({ cache: { ttl: 10 } });
+
+    await client.wait(await client.requestProof(source()));
+    await new Promise((resolve) => setTimeout(resolve, 20));
+
+    assert.equal(await client.requestProof(source()), 2);
+    assert.equal(
+      mock.requests.filter((r) => r.method === "log_requestProof").length,
+      2
+    );
+  });
+
+  it("evicts the least recently used proof", async () => {
+    const { client, mock } = createClient({ cache: { maxEntries: 1 } });
+
+    await client.wait(await client.requestProof(source(0)));
+    await client.wait(await client.requestProof(source(1)));
+    await client.requestProof(source(0));
+
+    assert.equal(
+      mock.requests.filter((r) => r.method === "log_requestProof").length,
+      3
+    );
+  });
+});
+
+describe("job stores", () => {
+  it("records jobs and their final status", async () => {
+    const jobStore = new MemoryJobStore();
+    const { client, mock } = createClient({ jobStore });
+    mock.nextJob({ pending: 1 });
+
+    const jobId = await client.requestProof(source(1));
+    const [requested] = await jobStore.list();
+    assert.equal(requested.jobId, jobId);
+    assert.equal(requested.status, "requested");
+    assert.deepEqual(requested.params, source(1));
+
+    await client.wait(jobId);
+    const [complete] = await jobStore.list();
+    assert.equal(complete.status, "complete");
+    assert.equal(complete.result.status, "complete");
+  });
+
+  it("reuses a stored job instead of requesting a new one", async () => {
+    const jobStore = new MemoryJobStore();
+    const { client, mock } = createClient({ jobStore });
+    mock.nextJob({ pending: 5 });
+
+    const jobId = await client.requestProof(source());
+
+    assert.equal(await client.requestProof(source()), jobId);
+    assert.equal(mock.requests.length, 1);
+  });
+
+  it("resumes unfinished jobs after a restart", async () => {
+    const jobStore = new KeyValueJobStore(createSlowAdapter());
+    const mock = new MockPolymerServer();
+    const config = { apiKey: "test", transport: mock, interval: 1, jobStore };
+    mock.nextJob({ pending: 100 });
+    mock.nextJob({ pending: 100 });
+    mock.nextJob({ error: "Log not found" });
+
+    const first = new PolymerClient(config);
+    const results = await first.requestProofs(
+      [source(0), source(1), source(2)],
+      { maxAttempts: 2 }
+    );
+    assert(results.every((entry) => entry.error));
+
+    // The API finishes the jobs while the process is down
+    for (const job of mock.jobs.values()) {
+      job.queries = 1000;
+    }
+    mock.jobs.get(1).steps = [{ status: "complete" }];
+    mock.jobs.get(2).steps = [{ status: "complete" }];
+
+    const resumed = await new PolymerClient(config).resumePending();
+
+    assert.deepEqual(resumed.map((entry) => entry.record.jobId).sort(), [1, 2]);
+    assert(resumed.every((entry) => entry.result.status === "complete"));
+  });
+
+  it("keeps every key in the KeyValueJobStore index under concurrent writes", async () => {
+    const store = new KeyValueJobStore(createSlowAdapter());
+
+    await Promise.all([1, 2, 3, 4, 5].map((i) => store.set(`key${i}`, { i })));
+    assert.equal((await store.list()).length, 5);
+
+    await Promise.all([
+      store.delete("key1"),
+      store.delete("key2"),
+      store.set("key6", {}),
+    ]);
+    assert.deepEqual((await store.keys()).sort(), [
+      "key3",
+      "key4",
+      "key5",
+      "key6",
+    ]);
+  });
+
+  it("persists records in a JSON file", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "polymer-jobs-"));
+    const filePath = path.join(dir, "jobs.json");
+
+    try {
+      const store = new FileJobStore(filePath);
+      await Promise.all([store.set("a", { n: 1 }), store.set("b", { n: 2 })]);
+      await store.delete("a");
+
+      const reopened = new FileJobStore(filePath);
+      assert.deepEqual(await reopened.list(), [{ n: 2 }]);
+      assert.equal(await reopened.get("a"), undefined);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,254 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  PolymerError,
+  PolymerLogNotFoundError,
+  PolymerAmbiguousLogError,
+  PolymerProofMismatchError,
+} = require("../src/polymer-ethers-plugin");
+const {
+  ethers,
+  iface,
+  ALICE,
+  BOB,
+  TOKEN,
+  OTHER_TOKEN,
+  createClient,
+  createProvider,
+  makeReceipt,
+} = require("./fixtures");
+
+const TRANSFER = "Transfer(address,address,uint256)";
+
+describe("selectReceiptLog", () => {
+  const { client } = createClient();
+  const receipt = makeReceipt();
+
+  it("uses an explicit logIndex", async () => {
+    assert.equal(await client.selectReceiptLog(receipt, { logIndex: 2 }), 2);
+  });
+
+  it("rejects a logIndex past the receipt's logs", async () => {
+    await assert.rejects(
+      client.selectReceiptLog(receipt, { logIndex: 4 }),
+      PolymerLogNotFoundError
+    );
+  });
+
+  it("picks the first match of a plain eventSignature", async () => {
+    assert.equal(
+      await client.selectReceiptLog(receipt, { eventSignature: TRANSFER }),
+      0
+    );
+  });
+
+  it("narrows matches by address", async () => {
+    assert.equal(
+      await client.selectReceiptLog(receipt, {
+        eventSignature: TRANSFER,
+        address: OTHER_TOKEN.toUpperCase().replace("0X", "0x"),
+      }),
+      2
+    );
+  });
+
+  it("narrows matches by indexed topics", async () => {
+    assert.equal(
+      await client.selectReceiptLog(receipt, {
+        event: "Transfer",
+        interface: iface,
+        address: TOKEN,
+        topics: [null, ethers.zeroPadValue(BOB, 32)],
+      }),
+      3
+    );
+  });
+
+  it("names an event missing from the interface", async () => {
+    await assert.rejects(
+      client.selectReceiptLog(receipt, { event: "Deposit", interface: iface }),
+      (error) => {
+        assert(error instanceof PolymerError);
+        assert.equal(error.message, 'Event "Deposit" not found in interface');
+        return true;
+      }
+    );
+  });
+
+  it("accepts a prepared filter", async () => {
+    const contract = new ethers.Contract(TOKEN, iface);
+    assert.equal(
+      await client.selectReceiptLog(receipt, {
+        event: contract.filters.Transfer(null, ALICE),
+        address: TOKEN,
+      }),
+      3
+    );
+  });
+
+  it("accepts a predicate", async () => {
+    assert.equal(
+      await client.selectReceiptLog(receipt, {
+        filter: (log, index) => index > 0 && index < 3 && log.address === TOKEN,
+      }),
+      1
+    );
+  });
+
+  it("picks the nth match", async () => {
+    assert.equal(
+      await client.selectReceiptLog(receipt, {
+        eventSignature: TRANSFER,
+        nth: 2,
+      }),
+      3
+    );
+    await assert.rejects(
+      client.selectReceiptLog(receipt, { eventSignature: TRANSFER, nth: 3 }),
+      PolymerLogNotFoundError
+    );
+  });
+
+  it("rejects ambiguous selections", async () => {
+    await assert.rejects(
+      client.selectReceiptLog(receipt, {
+        eventSignature: TRANSFER,
+        address: TOKEN,
+      }),
+      (error) => {
+        assert(error instanceof PolymerAmbiguousLogError);
+        assert.deepEqual(
+          error.candidates.map((candidate) => candidate.logIndex),
+          [0, 3]
+        );
+        return true;
+      }
+    );
+  });
+
+  it("lists the receipt's logs when nothing matches", async () => {
+    await assert.rejects(
+      client.selectReceiptLog(receipt, {
+        eventSignature: "Deposit(address,uint256)",
+      }),
+      (error) => {
+        assert(error instanceof PolymerLogNotFoundError);
+        assert.equal(error.candidates.length, 4);
+        return true;
+      }
+    );
+  });
+});
+
+describe("proveReceipt", () => {
+  it("proves the selected log with the receipt's coordinates", async () => {
+    const { client, mock } = createClient();
+    const receipt = makeReceipt();
+    mock.nextJob({ event: receipt.logs[2] });
+
+    const result = await client.proveReceipt(receipt, {
+      eventSignature: TRANSFER,
+      address: OTHER_TOKEN,
+      verify: true,
+    });
+
+    assert.equal(result.status, "complete");
+    assert.deepEqual(mock.requests[0].params, [11155420, 123456, 2, 2]);
+  });
+
+  it("rejects a proof for a different log with verify", async () => {
+    const { client, mock } = createClient();
+    const receipt = makeReceipt();
+    mock.nextJob({ event: receipt.logs[0] });
+
+    await assert.rejects(
+      client.proveReceipt(receipt, { logIndex: 2, verify: true }),
+      PolymerProofMismatchError
+    );
+  });
+
+  it("finds a log's receipt-local index from ethers.js Logs", async () => {
+    const { client, mock } = createClient();
+    const provider = createProvider({
+      getTransactionReceipt: async () => receipt,
+    });
+    const receipt = makeReceipt(provider);
+
+    await client.proveLog(receipt.logs[3]);
+
+    assert.deepEqual(mock.requests[0].params, [11155420, 123456, 2, 3]);
+  });
+});
+
+describe("proveReceiptLogs", () => {
+  it("proves every matching log of every receipt", async () => {
+    const { client, mock } = createClient();
+
+    const results = await client.proveReceiptLogs(
+      [makeReceipt(), makeReceipt(createProvider(), { index: 5 })],
+      { eventSignature: TRANSFER, address: TOKEN }
+    );
+
+    assert.deepEqual(
+      results.map((entry) => [entry.params.txIndex, entry.logIndex]),
+      [
+        [2, 0],
+        [2, 3],
+        [5, 0],
+        [5, 3],
+      ]
+    );
+    assert(results.every((entry) => entry.result.status === "complete"));
+    assert.equal(
+      mock.requests.filter((r) => r.method === "log_requestProof").length,
+      4
+    );
+  });
+
+  it("proves explicit logIndexes", async () => {
+    const { client } = createClient();
+
+    const results = await client.proveReceiptLogs(makeReceipt(), {
+      logIndexes: [1, 2],
+    });
+
+    assert.deepEqual(
+      results.map((entry) => entry.logIndex),
+      [1, 2]
+    );
+  });
+
+  it("fails logIndexes past the receipt's logs on their own", async () => {
+    const { client, mock } = createClient();
+
+    const results = await client.proveReceiptLogs(makeReceipt(), {
+      logIndexes: [1, 9],
+    });
+
+    assert.equal(results[0].result.status, "complete");
+    assert(results[1].error instanceof PolymerLogNotFoundError);
+    assert.equal(results[1].logIndex, 9);
+    assert.equal(mock.requests[0].params[3], 1);
+    assert.equal(
+      mock.requests.filter((r) => r.method === "log_requestProof").length,
+      1
+    );
+  });
+
+  it("fails a receipt whose logs cannot be selected on its own", async () => {
+    const { client } = createClient();
+    const orphan = makeReceipt(createProvider(), { index: 7 });
+    Object.defineProperty(orphan, "provider", { value: null });
+
+    const results = await client.proveReceiptLogs([orphan, makeReceipt()], {
+      eventSignature: TRANSFER,
+      address: TOKEN,
+    });
+
+    assert.equal(results.length, 3);
+    assert.equal(results[0].receipt, orphan);
+    assert.equal(results[0].logIndex, null);
+    assert.match(results[0].error.message, /Provider not available/);
+    assert(results.slice(1).every((entry) => entry.result));
+  });
+});
@@ -0,0 +1,180 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { PolymerClient } = require("../src/polymer-ethers-plugin");
+const { MockPolymerServer } = require("../src/mock-server");
+const { source } = require("./fixtures");
+
+const API_URL = "http://polymer.test";
+
+/**
+ * Client calling a mock API through `fetch`, recording every fetch call
+ */
+function setup(config = {}) {
+  const mock = new MockPolymerServer();
+  const fetches = [];
+  const client = new PolymerClient({
+    apiKey: "test",
+    apiUrl: API_URL,
+    interval: 1,
+    retry: { baseDelay: 1 },
+    fetch: (url, init) => {
+      fetches.push({ url, ...init });
+      return mock.fetch(url, init);
+    },
+    ...config,
+  });
+  return { client, mock, fetches };
+}
+
+describe("fetch and middleware", () => {
+  it("sends JSON-RPC calls through the fetch option", async () => {
+    const { client, fetches } = setup();
+
+    assert.equal(await client.requestProof(source(1)), 1);
+
+    assert.equal(fetches.length, 1);
+    assert.equal(fetches[0].url, API_URL);
+    assert.equal(fetches[0].method, "POST");
+    assert.equal(fetches[0].headers.Authorization, "Bearer test");
+    assert.equal(fetches[0].headers["Content-Type"], "application/json");
+    assert(fetches[0].signal instanceof AbortSignal);
+    const body = JSON.parse(fetches[0].body);
+    assert.equal(body.method, "log_requestProof");
+    assert.deepEqual(body.params, [11155420, 123456, 2, 1]);
+  });
+
+  it("runs beforeRequest hooks in order, changing the request in place", async () => {
+    const order = [];
+    const { client, mock, fetches } = setup({
+      middleware: [
+        {
+          beforeRequest: async (request) => {
+            order.push("first");
+            request.headers["X-Trace"] = "abc";
+          },
+        },
+        {
+          beforeRequest: (request) => {
+            order.push("second");
+            assert.equal(request.headers["X-Trace"], "abc");
+            assert.equal(request.payload.method, "log_queryProof");
+          },
+        },
+      ],
+    });
+
+    await mock.request("log_requestProof", [11155420, 1, 0, 0]);
+
+    await client.queryProofStatus(1);
+
+    assert.deepEqual(order, ["first", "second"]);
+    assert.equal(fetches[0].headers["X-Trace"], "abc");
+  });
+
+  it("sends the request returned by beforeRequest", async () => {
+    const { client, mock, fetches } = setup({
+      middleware: [
+        {
+          beforeRequest: (request) => {
+            const payload = { ...request.payload, params: [2] };
+            return {
+              ...request,
+              url: `${API_URL}/v2`,
+              body: JSON.stringify(payload),
+              payload,
+            };
+          },
+        },
+      ],
+    });
+    await mock.request("log_requestProof", [11155420, 1, 0, 0]);
+    mock.nextJob({ pending: 1 });
+    await mock.request("log_requestProof", [11155420, 2, 0, 0]);
+
+    const result = await client.queryProofStatus(1);
+
+    assert.equal(fetches[0].url, `${API_URL}/v2`);
+    assert.deepEqual(JSON.parse(fetches[0].body).params, [2]);
+    assert.equal(result.status, "pending");
+  });
+
+  it("uses the response returned by afterResponse", async () => {
+    const seen = [];
+    const { client } = setup({
+      middleware: [
+        {
+          afterResponse: async (response, request) => {
+            seen.push({
+              status: response.status,
+              method: request.payload.method,
+            });
+            return new Response(
+              JSON.stringify({
+                jsonrpc: "2.0",
+                id: request.payload.id,
+                result: { status: "complete", proof: "AQID" },
+              }),
+              { status: 200 }
+            );
+          },
+        },
+      ],
+    });
+
+    const result = await client.queryProofStatus(42);
+
+    assert.deepEqual(result, { status: "complete", proof: "AQID" });
+    assert.equal(seen.length, 1);
+    assert.equal(seen[0].method, "log_queryProof");
+  });
+
+  it("runs the hooks again on every retry", async () => {
+    let before = 0;
+    const statuses = [];
+    const { client, mock } = setup({
+      middleware: [
+        {
+          beforeRequest: () => {
+            before++;
+          },
+          afterResponse: (response) => {
+            statuses.push(response.status);
+          },
+        },
+      ],
+    });
+    mock.failNext("log_requestProof", { httpStatus: 503 });
+
+    assert.equal(await client.requestProof(source()), 1);
+
+    assert.equal(before, 2);
+    assert.deepEqual(statuses, [503, 200]);
+  });
+
+  it("passes JSON-RPC batches to the hooks as one request", async () => {
+    const payloads = [];
+    const { client, fetches } = setup({
+      jsonRpcBatch: { window: 5 },
+      middleware: [
+        {
+          beforeRequest: (request) => {
+            payloads.push(request.payload);
+          },
+        },
+      ],
+    });
+
+    const jobIds = await Promise.all([
+      client.requestProof(source(0)),
+      client.requestProof(source(1)),
+    ]);
+
+    assert.deepEqual(jobIds, [1, 2]);
+    assert.equal(fetches.length, 1);
+    assert.equal(payloads.length, 1);
+    assert.deepEqual(
+      payloads[0].map((call) => call.method),
+      ["log_requestProof", "log_requestProof"]
+    );
+  });
+});
@@ -0,0 +1,158 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  PolymerClient,
+  PolymerError,
+  PolymerUnsupportedChainError,
+  POLYMER_NETWORKS,
+} = require("../src/polymer-ethers-plugin");
+const {
+  TX_HASH,
+  createClient,
+  createProvider,
+  makeReceipt,
+} = require("./fixtures");
+
+describe("network presets", () => {
+  it("uses the API URL of the network", () => {
+    const client = new PolymerClient({ apiKey: "test", network: "mainnet" });
+
+    assert.equal(client.config.apiUrl, POLYMER_NETWORKS.mainnet.apiUrl);
+    assert.deepEqual(
+      client.getSupportedChains(),
+      POLYMER_NETWORKS.mainnet.chainIds
+    );
+  });
+
+  it("rejects an unknown network whichever endpoint option wins", () => {
+    for (const options of [
+      {},
+      { apiUrl: "http://localhost:8080" },
+      { endpoints: ["http://localhost:8080", "http://localhost:8081"] },
+    ]) {
+      assert.throws(
+        () => new PolymerClient({ apiKey: "test", network: "foo", ...options }),
+        /Unknown Polymer network "foo", expected one of: testnet, mainnet/
+      );
+    }
+  });
+
+  it("keeps the network's chains with a custom API URL", () => {
+    const client = new PolymerClient({
+      apiKey: "test",
+      apiUrl: "http://localhost:8080",
+      network: "mainnet",
+    });
+
+    assert.equal(client.config.apiUrl, "http://localhost:8080");
+    assert.deepEqual(
+      client.getSupportedChains(),
+      POLYMER_NETWORKS.mainnet.chainIds
+    );
+  });
+
+  it("matches endpoints to presets, or allows every preset's chains", () => {
+    const testnet = new PolymerClient({
+      apiKey: "test",
+      apiUrl: POLYMER_NETWORKS.testnet.apiUrl,
+    });
+    const custom = new PolymerClient({
+      apiKey: "test",
+      apiUrl: "http://localhost:8080",
+    });
+    const configured = new PolymerClient({
+      apiKey: "test",
+      apiUrl: "http://localhost:8080",
+      supportedChains: ["10"],
+    });
+
+    assert.deepEqual(
+      testnet.getSupportedChains(),
+      POLYMER_NETWORKS.testnet.chainIds
+    );
+    assert.deepEqual(custom.getSupportedChains(), [
+      ...POLYMER_NETWORKS.testnet.chainIds,
+      ...POLYMER_NETWORKS.mainnet.chainIds,
+    ]);
+    assert.deepEqual(configured.getSupportedChains(), [10]);
+  });
+});
+
+describe("proveTransaction", () => {
+  it("proves a transaction through the provider registered for its chain", async () => {
+    const provider = createProvider({
+      getTransactionReceipt: async (hash) =>
+        hash === TX_HASH ? makeReceipt(provider) : null,
+    });
+    const { client, mock } = createClient();
+    client.registerProvider(11155420n, provider);
+
+    const result = await client.proveTransaction({
+      chainId: 11155420n,
+      txHash: TX_HASH,
+      logIndex: 1,
+    });
+
+    assert.equal(result.status, "complete");
+    assert.deepEqual(mock.requests[0].params, [11155420, 123456, 2, 1]);
+  });
+
+  it("rejects a chain the API does not support", async () => {
+    const { client, mock } = createClient({
+      providers: { 1: createProvider() },
+    });
+
+    await assert.rejects(
+      client.proveTransaction({ chainId: 1, txHash: TX_HASH }),
+      (error) => {
+        assert(error instanceof PolymerUnsupportedChainError);
+        assert.equal(error.chainId, 1);
+        assert.deepEqual(
+          error.supportedChains,
+          POLYMER_NETWORKS.testnet.chainIds
+        );
+        return true;
+      }
+    );
+    assert.equal(mock.requests.length, 0);
+  });
+
+  it("requires a provider for the chain", async () => {
+    const { client } = createClient({
+      providers: { 11155420: createProvider() },
+    });
+
+    await assert.rejects(
+      client.proveTransaction({ chainId: 84532, txHash: TX_HASH }),
+      (error) =>
+        error instanceof PolymerError &&
+        /No provider registered for chain 84532/.test(error.message)
+    );
+  });
+
+  it("rejects a provider connected to another chain", async () => {
+    const provider = createProvider({
+      getNetwork: async () => ({ chainId: 84532n }),
+    });
+    const { client, mock } = createClient({
+      providers: { 11155420: provider },
+    });
+
+    await assert.rejects(
+      client.proveTransaction({ chainId: 11155420, txHash: TX_HASH }),
+      /Provider registered for chain 11155420 is connected to chain 84532/
+    );
+    assert.equal(mock.requests.length, 0);
+  });
+
+  it("rejects a transaction that is not mined", async () => {
+    const { client } = createClient({
+      providers: { 11155420: createProvider() },
+    });
+
+    await assert.rejects(
+      client.proveTransaction({ chainId: 11155420, txHash: TX_HASH }),
+      /not found or not yet mined on chain 11155420/
+    );
+  });
+});
@@ -0,0 +1,144 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { PolymerPollingTimeoutError } = require("../src/polymer-ethers-plugin");
+const { createClient, source } = require("./fixtures");
+
+/**
+ * Run `fn` with setTimeout firing right away, recording the requested delays
+ */
+async function recordDelays(fn) {
+  const original = global.setTimeout;
+  const delays = [];
+  global.setTimeout = (callback, ms, ...args) => {
+    delays.push(ms);
+    return original(callback, 0, ...args);
+  };
+  try {
+    await fn();
+  } finally {
+    global.setTimeout = original;
+  }
+  return delays;
+}
+
+/**
+ * Request a proof that stays pending for `pending` polls
+ */
+async function startJob(pending) {
+  const { client, mock } = createClient();
+  mock.nextJob({ pending });
+  const jobId = await client.requestProof(source());
+  return { client, jobId };
+}
+
+describe("polling strategies", () => {
+  it("grows the linear interval by intervalStep up to maxInterval", async () => {
+    const { client, jobId } = await startJob(5);
+
+    const delays = await recordDelays(() =>
+      client.wait(jobId, {
+        pollingStrategy: "linear",
+        interval: 10,
+        intervalStep: 5,
+        maxInterval: 22,
+      })
+    );
+
+    assert.deepEqual(delays, [10, 15, 20, 22, 22]);
+  });
+
+  it("multiplies the exponential interval up to maxInterval", async () => {
+    const { client, jobId } = await startJob(4);
+
+    const delays = await recordDelays(() =>
+      client.wait(jobId, {
+        pollingStrategy: "exponential",
+        interval: 10,
+        backoffFactor: 3,
+        maxInterval: 100,
+      })
+    );
+
+    assert.deepEqual(delays, [10, 30, 90, 100]);
+  });
+
+  it("stops the linear and exponential strategies at maxAttempts", async () => {
+    for (const pollingStrategy of ["linear", "exponential"]) {
+      const { client, jobId } = await startJob(10);
+
+      await assert.rejects(
+        client.wait(jobId, { pollingStrategy, interval: 1, maxAttempts: 3 }),
+        (error) =>
+          error instanceof PolymerPollingTimeoutError && error.attempts === 3
+      );
+    }
+  });
+
+  it("polls until waitUntil with the deadline strategy", async () => {
+    const { client, jobId } = await startJob(1000);
+    let error;
+
+    const started = Date.now();
+    const delays = await recordDelays(async () => {
+      error = await client
+        .wait(jobId, {
+          pollingStrategy: "deadline",
+          interval: 10,
+          waitUntil: 50,
+          maxAttempts: 1,
+        })
+        .catch((e) => e);
+    });
+
+    assert(error instanceof PolymerPollingTimeoutError);
+    assert.equal(error.lastStatus.status, "pending");
+    // maxAttempts does not apply, only the time budget ends the polling
+    assert(error.attempts > 1);
+    assert(Date.now() - started >= 50);
+    assert(delays.every((delay) => delay > 0 && delay <= 10));
+  });
+
+  it("requires waitUntil for the deadline strategy", async () => {
+    const { client, jobId } = await startJob(0);
+
+    await assert.rejects(
+      client.wait(jobId, { pollingStrategy: "deadline" }),
+      /waitUntil is required/
+    );
+  });
+
+  it("calls a custom strategy with the attempt and elapsed time", async () => {
+    const { client, jobId } = await startJob(10);
+    const calls = [];
+    let error;
+
+    const delays = await recordDelays(async () => {
+      error = await client
+        .wait(jobId, {
+          pollingStrategy: (attempt, elapsed) => {
+            calls.push({ attempt, elapsed });
+            return attempt < 3 ? attempt * 7 : null;
+          },
+        })
+        .catch((e) => e);
+    });
+
+    assert(error instanceof PolymerPollingTimeoutError);
+    assert.equal(error.attempts, 3);
+    assert.deepEqual(
+      calls.map((call) => call.attempt),
+      [1, 2, 3]
+    );
+    assert(calls.every((call) => call.elapsed >= 0));
+    assert.deepEqual(delays, [7, 14]);
+  });
+
+  it("rejects an unknown strategy", async () => {
+    const { client, jobId } = await startJob(0);
+
+    await assert.rejects(
+      client.wait(jobId, { pollingStrategy: "random" }),
+      /Unknown polling strategy: random/
+    );
+  });
+});
@@ -0,0 +1,119 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  PolymerError,
+  CROSS_L2_PROVER_ABI,
+  CROSS_L2_PROVER_ADDRESSES,
+} = require("../src/polymer-ethers-plugin");
+const {
+  ethers,
+  iface,
+  ALICE,
+  BOB,
+  TOKEN,
+  createClient,
+} = require("./fixtures");
+
+const proverInterface = new ethers.Interface(CROSS_L2_PROVER_ABI);
+const CUSTOM_PROVER = "0x" + "7".repeat(40);
+
+/**
+ * Runner answering `validateEvent` calls with a Transfer event
+ *
+ * @param {bigint} chainId - Chain ID reported by `getNetwork`
+ * @returns {Object} `{ runner, calls }`
+ */
+function createRunner(chainId) {
+  const calls = [];
+  const { topics, data } = iface.encodeEventLog("Transfer", [ALICE, BOB, 5]);
+  const runner = {
+    provider: null,
+    getNetwork: async () => ({ chainId }),
+    call: async (tx) => {
+      calls.push(tx);
+      return proverInterface.encodeFunctionResult("validateEvent", [
+        11155420,
+        TOKEN,
+        ethers.concat(topics),
+        data,
+      ]);
+    },
+  };
+  return { runner, calls };
+}
+
+describe("CrossL2Prover registry", () => {
+  it("only holds valid checksummed addresses", () => {
+    for (const [chainId, address] of Object.entries(
+      CROSS_L2_PROVER_ADDRESSES
+    )) {
+      assert.equal(ethers.getAddress(address), address, `chain ${chainId}`);
+    }
+  });
+
+  it("lets proverAddresses extend and override the registry", () => {
+    const { client } = createClient({
+      proverAddresses: { 10: CUSTOM_PROVER, 1: CUSTOM_PROVER },
+    });
+
+    assert.equal(client.getProverAddress(10n), CUSTOM_PROVER);
+    assert.equal(client.getProverAddress(1), CUSTOM_PROVER);
+    assert.equal(
+      client.getProverAddress(8453),
+      CROSS_L2_PROVER_ADDRESSES[8453]
+    );
+    assert.throws(() => client.getProverAddress(999), PolymerError);
+  });
+});
+
+describe("validateOnDestination", () => {
+  it("calls the registered prover of the runner's chain", async () => {
+    const { client } = createClient();
+    const { runner, calls } = createRunner(10n);
+
+    const validated = await client.validateOnDestination("0x1234", {
+      provider: runner,
+      interface: iface,
+    });
+
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].to, CROSS_L2_PROVER_ADDRESSES[10]);
+    assert.equal(
+      proverInterface.decodeFunctionData("validateEvent", calls[0].data)[0],
+      "0x1234"
+    );
+    assert.equal(validated.chainId, 11155420);
+    assert.equal(validated.emittingContract, TOKEN);
+    assert.equal(validated.topics.length, 3);
+    assert.equal(validated.event.name, "Transfer");
+    assert.equal(validated.event.args.value, 5n);
+  });
+
+  it("uses an explicit chainId or address", async () => {
+    const { client } = createClient();
+    const { runner, calls } = createRunner(1n);
+
+    await client.validateOnDestination("0x12", {
+      provider: runner,
+      chainId: 8453,
+    });
+    await client.validateOnDestination("0x12", {
+      provider: runner,
+      address: CUSTOM_PROVER,
+    });
+
+    assert.deepEqual(
+      calls.map((call) => call.to),
+      [CROSS_L2_PROVER_ADDRESSES[8453], CUSTOM_PROVER]
+    );
+  });
+
+  it("requires a provider or signer", async () => {
+    const { client } = createClient();
+
+    await assert.rejects(
+      client.validateOnDestination("0x12", {}),
+      /provider or signer is required/
+    );
+  });
+});
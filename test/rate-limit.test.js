@@ -0,0 +1,181 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  PolymerClient,
+  PolymerAbortError,
+  PolymerRateLimitError,
+} = require("../src/polymer-ethers-plugin");
+
+/**
+ * Transport that holds every call until the test releases it
+ */
+function createHeldTransport() {
+  const calls = [];
+  let active = 0;
+  const transport = {
+    calls,
+    maxActive: 0,
+    request: (method, params) =>
+      new Promise((resolve) => {
+        active++;
+        transport.maxActive = Math.max(transport.maxActive, active);
+        calls.push({
+          jobId: params[0],
+          release: () => {
+            active--;
+            resolve({ status: "complete", proof: null });
+          },
+        });
+      }),
+  };
+  return transport;
+}
+
+/**
+ * Let queued microtasks and zero-delay timers run
+ */
+function tick() {
+  return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+describe("rate limiting", () => {
+  it("rejects invalid settings", () => {
+    const create = (rateLimit) =>
+      new PolymerClient({ apiKey: "test", transport: {}, rateLimit });
+
+    assert.throws(() => create({ requestsPerSecond: 0 }), /must be positive/);
+    assert.throws(() => create({ maxConcurrent: 0 }), /must be positive/);
+    assert.throws(() => create({ burst: 0 }), /burst must be at least 1/);
+    assert.throws(
+      () => create({ requestsPerSecond: 10, burst: 0.5 }),
+      /burst must be at least 1/
+    );
+    assert.throws(
+      () => create({ maxQueue: -1 }),
+      /maxQueue must be non-negative/
+    );
+  });
+
+  it("lets queued calls through in order, maxConcurrent at a time", async () => {
+    const transport = createHeldTransport();
+    const client = new PolymerClient({
+      apiKey: "test",
+      transport,
+      rateLimit: { maxConcurrent: 2 },
+    });
+
+    const results = [1, 2, 3, 4].map((jobId) => client.queryProofStatus(jobId));
+    await tick();
+    assert.deepEqual(
+      transport.calls.map((call) => call.jobId),
+      [1, 2]
+    );
+    assert.equal(client.getRateLimitStats().queued, 2);
+
+    transport.calls[1].release();
+    await tick();
+    transport.calls[0].release();
+    await tick();
+    transport.calls[2].release();
+    transport.calls[3].release();
+    await Promise.all(results);
+
+    assert.deepEqual(
+      transport.calls.map((call) => call.jobId),
+      [1, 2, 3, 4]
+    );
+    assert.equal(transport.maxActive, 2);
+  });
+
+  it("fails calls beyond maxQueue with PolymerRateLimitError", async () => {
+    const transport = createHeldTransport();
+    const client = new PolymerClient({
+      apiKey: "test",
+      transport,
+      rateLimit: { maxConcurrent: 1, maxQueue: 1 },
+    });
+
+    const first = client.queryProofStatus(1);
+    const second = client.queryProofStatus(2);
+    await assert.rejects(
+      client.queryProofStatus(3),
+      (error) => error instanceof PolymerRateLimitError && error.maxQueue === 1
+    );
+
+    await tick();
+    transport.calls[0].release();
+    await tick();
+    transport.calls[1].release();
+    await Promise.all([first, second]);
+    assert.equal(transport.calls.length, 2);
+    assert.equal(client.getRateLimitStats().rejected, 1);
+  });
+
+  it("removes an aborted call from the queue", async () => {
+    const transport = createHeldTransport();
+    const client = new PolymerClient({
+      apiKey: "test",
+      transport,
+      rateLimit: { maxConcurrent: 1 },
+    });
+    const controller = new AbortController();
+
+    const first = client.queryProofStatus(1);
+    const abandoned = client.queryProofStatus(2, {
+      signal: controller.signal,
+    });
+    const last = client.queryProofStatus(3);
+    await tick();
+    controller.abort();
+
+    await assert.rejects(abandoned, PolymerAbortError);
+    assert.equal(client.getRateLimitStats().queued, 1);
+    transport.calls[0].release();
+    await tick();
+    transport.calls[1].release();
+    await Promise.all([first, last]);
+
+    assert.deepEqual(
+      transport.calls.map((call) => call.jobId),
+      [1, 3]
+    );
+  });
+
+  it("spaces calls by requestsPerSecond and reports wait times", async () => {
+    const client = new PolymerClient({
+      apiKey: "test",
+      transport: { request: async () => ({ status: "complete" }) },
+      rateLimit: { requestsPerSecond: 50, burst: 1 },
+    });
+
+    const started = Date.now();
+    await Promise.all([1, 2, 3].map((jobId) => client.queryProofStatus(jobId)));
+    const stats = client.getRateLimitStats();
+
+    assert(Date.now() - started >= 35);
+    assert.equal(stats.granted, 3);
+    assert.equal(stats.queued, 0);
+    assert.equal(stats.active, 0);
+    assert.equal(stats.rejected, 0);
+    assert(stats.maxWaitTime >= 35);
+    assert.equal(stats.averageWaitTime, stats.totalWaitTime / 3);
+  });
+
+  it("does not hold calls back on burst alone", async () => {
+    const client = new PolymerClient({
+      apiKey: "test",
+      transport: { request: async () => ({ status: "complete" }) },
+      rateLimit: { burst: 1 },
+    });
+
+    await Promise.all([1, 2, 3].map((jobId) => client.queryProofStatus(jobId)));
+
+    assert.equal(client.getRateLimitStats().granted, 3);
+  });
+
+  it("reports no stats without rateLimit", () => {
+    const client = new PolymerClient({ apiKey: "test", transport: {} });
+
+    assert.equal(client.getRateLimitStats(), null);
+  });
+});
@@ -0,0 +1,202 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  PolymerRelayError,
+  proofToHex,
+} = require("../src/polymer-ethers-plugin");
+const { ethers, createClient, makeReceipt } = require("./fixtures");
+
+const SIGNER = { name: "destination signer" };
+const RECEIVER = "0x00000000000000000000000000000000000000cc";
+const RECEIVER_ABI = ["function relay(uint256 id, bytes proof)"];
+
+/**
+ * Contract stub recording what relayReceipt estimates and sends
+ */
+function createStubContract({ estimateError, sendError } = {}) {
+  const calls = { signer: null, method: null, estimate: null, send: null };
+  const fn = {
+    estimateGas: async (...args) => {
+      calls.estimate = args;
+      if (estimateError) {
+        throw estimateError;
+      }
+      return 50000n;
+    },
+    send: async (...args) => {
+      calls.send = args;
+      if (sendError) {
+        throw sendError;
+      }
+      return { hash: "0xfeed" };
+    },
+  };
+  return {
+    calls,
+    connect(signer) {
+      calls.signer = signer;
+      return this;
+    },
+    getFunction(method) {
+      calls.method = method;
+      return fn;
+    },
+  };
+}
+
+/**
+ * Client whose next job proves the receipt's first log
+ */
+function setup() {
+  const { client, mock } = createClient();
+  const receipt = makeReceipt();
+  mock.nextJob({ event: receipt.logs[0] });
+  return { client, receipt };
+}
+
+describe("relayReceipt", () => {
+  it("appends the proof to the call arguments by default", async () => {
+    const { client, receipt } = setup();
+    const contract = createStubContract();
+
+    const { proof, transaction } = await client.relayReceipt(receipt, {
+      logIndex: 0,
+      destination: {
+        signer: SIGNER,
+        contract,
+        method: "relay",
+        args: [7],
+        overrides: { nonce: 3 },
+      },
+    });
+
+    assert.equal(proof.status, "complete");
+    assert.deepEqual(transaction, { hash: "0xfeed" });
+    assert.equal(contract.calls.signer, SIGNER);
+    assert.equal(contract.calls.method, "relay");
+    assert.deepEqual(contract.calls.estimate, [
+      7,
+      proofToHex(proof),
+      { nonce: 3 },
+    ]);
+    assert.deepEqual(contract.calls.send, [
+      7,
+      proofToHex(proof),
+      { gasLimit: 50000n, nonce: 3 },
+    ]);
+  });
+
+  it("places the proof with mapArgs", async () => {
+    const { client, receipt } = setup();
+    const contract = createStubContract();
+    let mapped;
+
+    await client.relayReceipt(receipt, {
+      logIndex: 0,
+      destination: {
+        signer: SIGNER,
+        contract,
+        method: "relay",
+        args: [7],
+        mapArgs: (input) => {
+          mapped = input;
+          return [input.proof, input.receipt.hash, ...input.args];
+        },
+      },
+    });
+
+    assert.equal(mapped.result.status, "complete");
+    assert.equal(mapped.receipt, receipt);
+    assert.deepEqual(contract.calls.send, [
+      mapped.proof,
+      receipt.hash,
+      7,
+      { gasLimit: 50000n },
+    ]);
+  });
+
+  it("builds the contract from an address and abi", async () => {
+    const { client, receipt } = setup();
+    const sent = [];
+    const signer = {
+      provider: null,
+      estimateGas: async () => 60000n,
+      sendTransaction: async (tx) => {
+        sent.push(tx);
+        return { hash: "0xbeef", ...tx };
+      },
+    };
+
+    const { proof, transaction } = await client.relayReceipt(receipt, {
+      logIndex: 0,
+      destination: {
+        signer,
+        contract: RECEIVER,
+        abi: RECEIVER_ABI,
+        method: "relay",
+        args: [7],
+      },
+    });
+
+    const receiver = new ethers.Interface(RECEIVER_ABI);
+    const decoded = receiver.decodeFunctionData("relay", sent[0].data);
+    assert.equal(transaction.hash, "0xbeef");
+    assert.equal(sent[0].to, RECEIVER);
+    assert.equal(sent[0].gasLimit, 60000n);
+    assert.equal(decoded[0], 7n);
+    assert.equal(decoded[1], proofToHex(proof));
+  });
+
+  it("requires an abi with a contract address", async () => {
+    const { client, receipt } = setup();
+
+    await assert.rejects(
+      client.relayReceipt(receipt, {
+        logIndex: 0,
+        destination: { signer: SIGNER, contract: RECEIVER, method: "relay" },
+      }),
+      /destination.abi is required/
+    );
+  });
+
+  it("reports a failed gas estimate with stage estimate", async () => {
+    const { client, receipt } = setup();
+    const cause = new Error("execution reverted");
+    const contract = createStubContract({ estimateError: cause });
+
+    await assert.rejects(
+      client.relayReceipt(receipt, {
+        logIndex: 0,
+        destination: { signer: SIGNER, contract, method: "relay" },
+      }),
+      (error) => {
+        assert(error instanceof PolymerRelayError);
+        assert.equal(error.stage, "estimate");
+        assert.equal(error.cause, cause);
+        assert.equal(error.proofResult.status, "complete");
+        return true;
+      }
+    );
+    assert.equal(contract.calls.send, null);
+  });
+
+  it("reports a failed send with stage send", async () => {
+    const { client, receipt } = setup();
+    const cause = new Error("insufficient funds");
+    const contract = createStubContract({ sendError: cause });
+
+    await assert.rejects(
+      client.relayReceipt(receipt, {
+        logIndex: 0,
+        destination: { signer: SIGNER, contract, method: "relay" },
+      }),
+      (error) => {
+        assert(error instanceof PolymerRelayError);
+        assert.equal(error.stage, "send");
+        assert.equal(error.cause, cause);
+        assert.equal(error.proofResult.status, "complete");
+        return true;
+      }
+    );
+  });
+});
@@ -0,0 +1,99 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  PolymerProofFailedError,
+  PolymerPollingTimeoutError,
+  decodeProof,
+} = require("../src/polymer-ethers-plugin");
+const { createClient, source } = require("./fixtures");
+
+describe("requestProof and wait", () => {
+  it("requests a job and polls it until complete", async () => {
+    const { client, mock } = createClient();
+    mock.nextJob({ pending: 2 });
+
+    const jobId = await client.requestProof(source(1));
+    const result = await client.wait(jobId);
+
+    assert.equal(result.status, "complete");
+    assert.deepEqual(mock.requests[0], {
+      method: "log_requestProof",
+      params: [11155420, 123456, 2, 1],
+    });
+    assert.equal(
+      mock.requests.filter((r) => r.method === "log_queryProof").length,
+      3
+    );
+
+    const decoded = decodeProof(result);
+    assert.equal(decoded.srcChainId, 11155420);
+    assert.equal(decoded.srcBlockNumber, 123456);
+    assert.equal(decoded.receiptIndex, 2);
+    assert.equal(decoded.logIndex, 1);
+  });
+
+  it("emits lifecycle events", async () => {
+    const { client, mock } = createClient();
+    mock.nextJob({ pending: 1 });
+    const events = [];
+    for (const name of ["requested", "status", "complete"]) {
+      client.on(name, () => events.push(name));
+    }
+
+    await client.wait(await client.requestProof(source()));
+
+    assert.deepEqual(events, ["requested", "status", "status", "complete"]);
+  });
+
+  it("rejects with PolymerProofFailedError when the job fails", async () => {
+    const { client, mock } = createClient();
+    mock.nextJob({ pending: 1, error: "Log not found" });
+    const jobId = await client.requestProof(source());
+
+    await assert.rejects(client.wait(jobId), (error) => {
+      assert(error instanceof PolymerProofFailedError);
+      assert.equal(error.jobId, jobId);
+      assert.equal(error.failureReason, "Log not found");
+      return true;
+    });
+  });
+
+  it("rejects with PolymerPollingTimeoutError after maxAttempts", async () => {
+    const { client, mock } = createClient();
+    mock.nextJob({ pending: 10 });
+    const jobId = await client.requestProof(source());
+
+    await assert.rejects(client.wait(jobId, { maxAttempts: 3 }), (error) => {
+      assert(error instanceof PolymerPollingTimeoutError);
+      assert.equal(error.attempts, 3);
+      assert.equal(error.lastStatus.status, "pending");
+      return true;
+    });
+  });
+
+  it("yields every distinct status from watch", async () => {
+    const { client, mock } = createClient();
+    mock.nextJob({ pending: 3 });
+    const statuses = [];
+
+    for await (const result of client.watch(
+      await client.requestProof(source())
+    )) {
+      statuses.push(result.status);
+    }
+
+    assert.deepEqual(statuses, ["pending", "complete"]);
+  });
+
+  it("shares one request between concurrent callers for the same log", async () => {
+    const { client, mock } = createClient();
+
+    const [a, b] = await Promise.all([
+      client.requestProof(source()),
+      client.requestProof(source()),
+    ]);
+
+    assert.equal(a, b);
+    assert.equal(mock.requests.length, 1);
+  });
+});
@@ -0,0 +1,404 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  PolymerClient,
+  PolymerHttpError,
+  PolymerNetworkError,
+  PolymerRpcError,
+  PolymerRequestTimeoutError,
+  PolymerAbortError,
+} = require("../src/polymer-ethers-plugin");
+const { MockPolymerServer } = require("../src/mock-server");
+const { source } = require("./fixtures");
+
+/**
+ * fetch that never answers, rejecting only when its signal aborts
+ */
+function hangingFetch(calls) {
+  return (url, init) =>
+    new Promise((resolve, reject) => {
+      calls.push(init);
+      init.signal.addEventListener("abort", () => reject(init.signal.reason));
+    });
+}
+
+describe("retries", () => {
+  it("retries a 429 after the Retry-After delay", async () => {
+    const mock = new MockPolymerServer();
+    const retries = [];
+    const client = new PolymerClient({
+      apiKey: "test",
+      fetch: mock.fetch,
+      interval: 1,
+      retry: { baseDelay: 1, onRetry: (retry) => retries.push(retry) },
+    });
+    mock.failNext("log_requestProof", { httpStatus: 429, retryAfter: 0.05 });
+
+    const started = Date.now();
+    const jobId = await client.requestProof(source());
+
+    assert.equal(jobId, 1);
+    assert.equal(retries.length, 1);
+    assert.equal(retries[0].delay, 50);
+    assert(retries[0].error instanceof PolymerHttpError);
+    assert.equal(retries[0].error.status, 429);
+    assert(Date.now() - started >= 45);
+  });
+
+  it("gives up after maxRetries", async () => {
+    const mock = new MockPolymerServer();
+    const client = new PolymerClient({
+      apiKey: "test",
+      transport: mock,
+      retry: { maxRetries: 2, baseDelay: 1 },
+    });
+    mock.failNext("log_requestProof", { httpStatus: 503 }, 3);
+
+    await assert.rejects(
+      client.requestProof(source()),
+      (error) => error instanceof PolymerHttpError && error.status === 503
+    );
+    assert.equal(mock.requests.length, 3);
+    assert.equal(mock.jobs.size, 0);
+  });
+
+  it("does not retry errors outside the policy", async () => {
+    const mock = new MockPolymerServer();
+    const client = new PolymerClient({
+      apiKey: "test",
+      transport: mock,
+      retry: { baseDelay: 1 },
+    });
+    mock.failNext("log_requestProof", { httpStatus: 400 }, 2);
+    mock.failNext("log_queryProof", {
+      rpcError: { code: -32000, message: "Busy" },
+    });
+
+    await assert.rejects(
+      client.requestProof(source()),
+      (error) => error.status === 400
+    );
+    await assert.rejects(
+      client.queryProofStatus(1),
+      (error) => error instanceof PolymerRpcError && error.code === -32000
+    );
+    assert.equal(mock.faults[0].remaining, 1);
+  });
+
+  it("fails instead of retrying when Retry-After exceeds maxDelay", async () => {
+    const mock = new MockPolymerServer();
+    const retries = [];
+    const client = new PolymerClient({
+      apiKey: "test",
+      fetch: mock.fetch,
+      retry: {
+        maxDelay: 1000,
+        onRetry: (retry) => retries.push(retry),
+      },
+    });
+    mock.failNext("log_requestProof", { httpStatus: 429, retryAfter: 60 });
+
+    const started = Date.now();
+    await assert.rejects(
+      client.requestProof(source()),
+      (error) => error instanceof PolymerHttpError && error.status === 429
+    );
+
+    assert(Date.now() - started < 1000);
+    assert.equal(retries.length, 0);
+    assert.equal(mock.requests.length, 1);
+  });
+
+  it("keeps retrying when the onRetry hook throws", async () => {
+    const mock = new MockPolymerServer();
+    let hookCalls = 0;
+    const client = new PolymerClient({
+      apiKey: "test",
+      transport: mock,
+      retry: {
+        baseDelay: 1,
+        onRetry: () => {
+          hookCalls++;
+          throw new Error("metrics are down");
+        },
+      },
+    });
+    mock.failNext("log_requestProof", { httpStatus: 503 }, 2);
+
+    assert.equal(await client.requestProof(source()), 1);
+    assert.equal(hookCalls, 2);
+  });
+
+  it("retries network errors raised by fetch", async () => {
+    const mock = new MockPolymerServer();
+    let calls = 0;
+    const client = new PolymerClient({
+      apiKey: "test",
+      fetch: async (url, init) => {
+        calls++;
+        if (calls === 1) {
+          throw new TypeError("fetch failed");
+        }
+        return mock.fetch(url, init);
+      },
+      retry: { baseDelay: 1 },
+    });
+
+    assert.equal(await client.requestProof(source()), 1);
+    assert.equal(calls, 2);
+  });
+
+  it("reports fetch failures as PolymerNetworkError", async () => {
+    const cause = new TypeError("fetch failed");
+    const client = new PolymerClient({
+      apiKey: "test",
+      apiUrl: "http://localhost:8080",
+      fetch: async () => {
+        throw cause;
+      },
+      retry: false,
+    });
+
+    await assert.rejects(client.queryProofStatus(1), (error) => {
+      assert(error instanceof PolymerNetworkError);
+      assert.equal(error.url, "http://localhost:8080");
+      assert.equal(error.cause, cause);
+      return true;
+    });
+  });
+
+  it("does not retry TypeErrors raised outside fetch", async () => {
+    let calls = 0;
+    const client = new PolymerClient({
+      apiKey: "test",
+      fetch: async () => {
+        throw new Error("fetch should not be reached");
+      },
+      middleware: [
+        {
+          beforeRequest: () => {
+            calls++;
+            throw new TypeError("middleware bug");
+          },
+        },
+      ],
+      retry: { baseDelay: 1 },
+    });
+
+    await assert.rejects(client.queryProofStatus(1), (error) => {
+      assert(error instanceof TypeError);
+      assert.equal(error.message, "middleware bug");
+      return true;
+    });
+    assert.equal(calls, 1);
+  });
+});
+
+describe("timeouts and cancellation", () => {
+  it("fails a request that exceeds the timeout", async () => {
+    const calls = [];
+    const client = new PolymerClient({
+      apiKey: "test",
+      fetch: hangingFetch(calls),
+      timeout: 20,
+      retry: false,
+    });
+
+    await assert.rejects(client.queryProofStatus(1), (error) => {
+      assert(error instanceof PolymerRequestTimeoutError);
+      assert.equal(error.method, "log_queryProof");
+      assert.equal(error.timeout, 20);
+      return true;
+    });
+    assert(calls[0].signal.aborted);
+  });
+
+  it("retries timed out requests", async () => {
+    const calls = [];
+    const client = new PolymerClient({
+      apiKey: "test",
+      fetch: hangingFetch(calls),
+      timeout: 10,
+      retry: { maxRetries: 2, baseDelay: 1 },
+    });
+
+    await assert.rejects(
+      client.queryProofStatus(1),
+      PolymerRequestTimeoutError
+    );
+    assert.equal(calls.length, 3);
+  });
+
+  it("aborts the request when the caller's signal fires", async () => {
+    const calls = [];
+    const client = new PolymerClient({
+      apiKey: "test",
+      fetch: hangingFetch(calls),
+      timeout: 60000,
+    });
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 10);
+
+    await assert.rejects(
+      client.requestProof({ ...source(), signal: controller.signal }),
+      PolymerAbortError
+    );
+    assert.equal(calls.length, 1);
+    assert(calls[0].signal.aborted);
+  });
+
+  it("keeps a shared request alive while another caller waits", async () => {
+    const mock = new MockPolymerServer();
+    let release;
+    const gate = new Promise((resolve) => (release = resolve));
+    const calls = [];
+    const client = new PolymerClient({
+      apiKey: "test",
+      fetch: async (url, init) => {
+        calls.push(init);
+        await gate;
+        return mock.fetch(url, init);
+      },
+    });
+    const controller = new AbortController();
+
+    const abandoned = client.requestProof({
+      ...source(),
+      signal: controller.signal,
+    });
+    const kept = client.requestProof(source());
+    await new Promise((resolve) => setImmediate(resolve));
+    controller.abort();
+    release();
+
+    await assert.rejects(abandoned, PolymerAbortError);
+    assert.equal(await kept, 1);
+    assert.equal(calls.length, 1);
+    assert(!calls[0].signal.aborted);
+  });
+
+  it("starts a new request for callers arriving after an abort", async () => {
+    const mock = new MockPolymerServer();
+    let release;
+    const gate = new Promise((resolve) => (release = resolve));
+    const calls = [];
+    const client = new PolymerClient({
+      apiKey: "test",
+      fetch: async (url, init) => {
+        calls.push(init);
+        await gate;
+        return mock.fetch(url, init);
+      },
+    });
+    const controller = new AbortController();
+
+    const abandoned = client.requestProof({
+      ...source(),
+      signal: controller.signal,
+    });
+    await new Promise((resolve) => setImmediate(resolve));
+    controller.abort();
+    const late = client.requestProof(source());
+    release();
+
+    await assert.rejects(abandoned, PolymerAbortError);
+    assert.equal(await late, 1);
+    assert.equal(calls.length, 2);
+    assert(calls[0].signal.aborted);
+  });
+
+  it("does not request a proof when aborted during the cache lookup", async () => {
+    const calls = [];
+    const unhandled = [];
+    const onUnhandled = (reason) => unhandled.push(reason);
+    process.on("unhandledRejection", onUnhandled);
+    const controller = new AbortController();
+    const client = new PolymerClient({
+      apiKey: "test",
+      fetch: hangingFetch(calls),
+      cache: {
+        store: {
+          get: async () => {
+            controller.abort();
+            await new Promise((resolve) => setTimeout(resolve, 5));
+            return null;
+          },
+          set: async () => {},
+          delete: async () => {},
+        },
+      },
+    });
+
+    try {
+      await assert.rejects(
+        client.requestProof({ ...source(), signal: controller.signal }),
+        PolymerAbortError
+      );
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    } finally {
+      process.off("unhandledRejection", onUnhandled);
+    }
+    assert.equal(calls.length, 0);
+    assert.equal(client.pendingRequests.size, 0);
+    assert.deepEqual(unhandled, []);
+  });
+
+  it("sends progress events to every caller still attached", async () => {
+    const mock = new MockPolymerServer();
+    let release;
+    const gate = new Promise((resolve) => (release = resolve));
+    const client = new PolymerClient({
+      apiKey: "test",
+      fetch: async (url, init) => {
+        await gate;
+        return mock.fetch(url, init);
+      },
+    });
+    const events = { first: [], second: [], abandoned: [] };
+    const controller = new AbortController();
+
+    const first = client.requestProof({
+      ...source(),
+      onProgress: (event) => events.first.push(event.type),
+    });
+    const abandoned = client.requestProof({
+      ...source(),
+      signal: controller.signal,
+      onProgress: (event) => events.abandoned.push(event.type),
+    });
+    const second = client.requestProof({
+      ...source(),
+      onProgress: (event) => events.second.push(event.type),
+    });
+    await new Promise((resolve) => setImmediate(resolve));
+    controller.abort();
+    release();
+
+    await assert.rejects(abandoned, PolymerAbortError);
+    assert.equal(await first, 1);
+    assert.equal(await second, 1);
+    assert.deepEqual(events, {
+      first: ["requested"],
+      second: ["requested"],
+      abandoned: [],
+    });
+  });
+
+  it("stops waiting when the signal aborts", async () => {
+    const mock = new MockPolymerServer();
+    const client = new PolymerClient({
+      apiKey: "test",
+      transport: mock,
+      interval: 5,
+    });
+    mock.nextJob({ pending: 1000 });
+    const jobId = await client.requestProof(source());
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 20);
+
+    await assert.rejects(
+      client.wait(jobId, { signal: controller.signal, maxAttempts: 1000 }),
+      PolymerAbortError
+    );
+  });
+});
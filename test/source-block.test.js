@@ -0,0 +1,134 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  PolymerReorgError,
+  PolymerAbortError,
+} = require("../src/polymer-ethers-plugin");
+const {
+  BLOCK_NUMBER,
+  createClient,
+  createProvider,
+  makeReceipt,
+} = require("./fixtures");
+
+const STALE_BLOCK_HASH = "0x" + "5".repeat(64);
+
+/**
+ * Receipt whose block was replaced on the canonical chain
+ */
+function makeReorgedReceipt() {
+  return makeReceipt(createProvider(), {
+    hash: "0x" + "6".repeat(64),
+    blockHash: STALE_BLOCK_HASH,
+  });
+}
+
+describe("waitForSourceBlock", () => {
+  it("waits for confirmations", async () => {
+    const { client } = createClient();
+    let head = BLOCK_NUMBER;
+    const receipt = makeReceipt(
+      createProvider({ getBlockNumber: async () => head++ })
+    );
+    const checks = [];
+    client.on("block", (event) => checks.push(event.confirmations));
+
+    await client.waitForSourceBlock(receipt, { confirmations: 3 });
+
+    assert.deepEqual(checks, [1, 2]);
+  });
+
+  it("waits for the finalized block", async () => {
+    const { client } = createClient();
+    let finalized = BLOCK_NUMBER - 2;
+    const provider = createProvider();
+    const getBlock = provider.getBlock;
+    provider.getBlock = async (tag) =>
+      tag === "finalized" ? { number: finalized++ } : getBlock(tag);
+    const receipt = makeReceipt(provider);
+
+    await client.waitForSourceBlock(receipt, { finality: true });
+
+    assert.equal(finalized, BLOCK_NUMBER + 1);
+  });
+
+  it("detects a reorged block", async () => {
+    const { client } = createClient();
+
+    await assert.rejects(
+      client.waitForSourceBlock(makeReorgedReceipt(), { confirmations: 1 }),
+      PolymerReorgError
+    );
+  });
+
+  it("stops when the signal aborts", async () => {
+    const { client } = createClient();
+    const receipt = makeReceipt(
+      createProvider({ getBlockNumber: async () => BLOCK_NUMBER })
+    );
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 10);
+
+    await assert.rejects(
+      client.waitForSourceBlock(receipt, {
+        confirmations: 5,
+        signal: controller.signal,
+      }),
+      PolymerAbortError
+    );
+  });
+});
+
+describe("batches waiting for the source block", () => {
+  it("fails only the logs of a reorged receipt in proveReceiptLogs", async () => {
+    const { client } = createClient();
+    const reorged = makeReorgedReceipt();
+
+    const results = await client.proveReceiptLogs([makeReceipt(), reorged], {
+      logIndexes: [0, 1],
+      waitForConfirmations: 1,
+    });
+
+    assert.deepEqual(
+      results.map((entry) => [entry.receipt === reorged, entry.logIndex]),
+      [
+        [false, 0],
+        [false, 1],
+        [true, 0],
+        [true, 1],
+      ]
+    );
+    assert(results.slice(0, 2).every((entry) => entry.result));
+    assert(
+      results
+        .slice(2)
+        .every(
+          (entry) => entry.error instanceof PolymerReorgError && !entry.jobId
+        )
+    );
+  });
+
+  it("fails only the logs of a reorged receipt in proveLogs", async () => {
+    const { client, mock } = createClient();
+    const receipt = makeReceipt(
+      createProvider({ getTransactionReceipt: async () => receipt })
+    );
+    const reorged = makeReceipt(
+      createProvider({ getTransactionReceipt: async () => reorged }),
+      { hash: "0x" + "6".repeat(64), blockHash: STALE_BLOCK_HASH }
+    );
+
+    const results = await client.proveLogs(
+      [receipt.logs[0], reorged.logs[1], receipt.logs[2]],
+      { waitForConfirmations: 1 }
+    );
+
+    assert.equal(results[0].result.status, "complete");
+    assert(results[1].error instanceof PolymerReorgError);
+    assert.equal(results[2].result.status, "complete");
+    assert.equal(
+      mock.requests.filter((r) => r.method === "log_requestProof").length,
+      2
+    );
+  });
+});
@@ -0,0 +1,187 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  PolymerAbortError,
+  PolymerTransactionReplacedError,
+  PolymerTransactionRevertedError,
+} = require("../src/polymer-ethers-plugin");
+const {
+  TX_HASH,
+  createClient,
+  createProvider,
+  makeReceipt,
+} = require("./fixtures");
+
+const REPLACEMENT_HASH = "0x" + "ab".repeat(32);
+
+/**
+ * TransactionResponse stub whose `wait` settles with `outcome`
+ */
+function createTx(outcome) {
+  const tx = {
+    hash: TX_HASH,
+    waits: [],
+    wait: async (confirmations, timeout) => {
+      tx.waits.push({ confirmations, timeout });
+      if (outcome instanceof Error) {
+        throw outcome;
+      }
+      return outcome;
+    },
+  };
+  return tx;
+}
+
+/**
+ * The error ethers.js rejects `tx.wait` with when the nonce was reused
+ */
+function replacedError(reason, receipt) {
+  return Object.assign(new Error("transaction was replaced"), {
+    code: "TRANSACTION_REPLACED",
+    reason,
+    cancelled: reason === "cancelled",
+    hash: REPLACEMENT_HASH,
+    replacement: { hash: REPLACEMENT_HASH },
+    receipt,
+  });
+}
+
+describe("proveTransactionResponse", () => {
+  it("waits for the receipt, then proves its log", async () => {
+    const { client, mock } = createClient();
+    const tx = createTx(makeReceipt());
+
+    const result = await client.proveTransactionResponse(tx, {
+      logIndex: 1,
+      confirmations: 2,
+      receiptTimeout: 5000,
+    });
+
+    assert.equal(result.status, "complete");
+    assert.deepEqual(tx.waits, [{ confirmations: 2, timeout: 5000 }]);
+    assert.deepEqual(mock.requests[0].params, [11155420, 123456, 2, 1]);
+  });
+
+  it("proves the replacement of a repriced transaction", async () => {
+    const { client, mock } = createClient();
+    const replacement = makeReceipt(createProvider(), {
+      hash: REPLACEMENT_HASH,
+      index: 5,
+    });
+    const tx = createTx(replacedError("repriced", replacement));
+
+    await client.proveTransactionResponse(tx, { logIndex: 0 });
+
+    assert.deepEqual(mock.requests[0].params, [11155420, 123456, 5, 0]);
+  });
+
+  it("rejects a repriced transaction without allowRepriced", async () => {
+    const { client, mock } = createClient();
+    const tx = createTx(replacedError("repriced", makeReceipt()));
+
+    await assert.rejects(
+      client.proveTransactionResponse(tx, {
+        logIndex: 0,
+        allowRepriced: false,
+      }),
+      (error) =>
+        error instanceof PolymerTransactionReplacedError &&
+        error.reason === "repriced"
+    );
+    assert.equal(mock.requests.length, 0);
+  });
+
+  it("rejects a replaced transaction", async () => {
+    const { client, mock } = createClient();
+    const receipt = makeReceipt(createProvider(), { hash: REPLACEMENT_HASH });
+    const tx = createTx(replacedError("replaced", receipt));
+
+    await assert.rejects(
+      client.proveTransactionResponse(tx, { logIndex: 0 }),
+      (error) => {
+        assert(error instanceof PolymerTransactionReplacedError);
+        assert.equal(error.transactionHash, TX_HASH);
+        assert.equal(error.reason, "replaced");
+        assert.equal(error.cancelled, false);
+        assert.equal(error.replacementHash, REPLACEMENT_HASH);
+        assert.equal(error.receipt, receipt);
+        assert.match(error.message, /was replaced by/);
+        return true;
+      }
+    );
+    assert.equal(mock.requests.length, 0);
+  });
+
+  it("rejects a cancelled transaction", async () => {
+    const { client } = createClient();
+    const tx = createTx(replacedError("cancelled", null));
+
+    await assert.rejects(
+      client.proveTransactionResponse(tx, { logIndex: 0 }),
+      (error) => {
+        assert(error instanceof PolymerTransactionReplacedError);
+        assert.equal(error.reason, "cancelled");
+        assert.equal(error.cancelled, true);
+        assert.match(error.message, /was cancelled by/);
+        return true;
+      }
+    );
+  });
+
+  it("rejects a transaction that reverted", async () => {
+    const { client, mock } = createClient();
+    const reverted = makeReceipt(createProvider(), { status: 0 });
+    const callException = Object.assign(new Error("transaction reverted"), {
+      code: "CALL_EXCEPTION",
+      receipt: reverted,
+    });
+
+    for (const outcome of [callException, reverted]) {
+      await assert.rejects(
+        client.proveTransactionResponse(createTx(outcome), { logIndex: 0 }),
+        (error) => {
+          assert(error instanceof PolymerTransactionRevertedError);
+          assert.equal(error.transactionHash, TX_HASH);
+          assert.equal(error.receipt, reverted);
+          return true;
+        }
+      );
+    }
+    assert.equal(mock.requests.length, 0);
+  });
+});
+
+describe("waitForReceipt", () => {
+  it("passes other errors through", async () => {
+    const { client } = createClient();
+    const timeout = Object.assign(new Error("wait for transaction timeout"), {
+      code: "TIMEOUT",
+    });
+
+    await assert.rejects(
+      client.waitForReceipt(createTx(timeout), { timeout: 10 }),
+      (error) => error === timeout
+    );
+  });
+
+  it("requires at least one confirmation", async () => {
+    const { client } = createClient();
+
+    await assert.rejects(
+      client.waitForReceipt(createTx(makeReceipt()), { confirmations: 0 }),
+      /confirmations must be at least 1/
+    );
+  });
+
+  it("stops waiting when the signal aborts", async () => {
+    const { client } = createClient();
+    const tx = { hash: TX_HASH, wait: () => new Promise(() => {}) };
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 10);
+
+    await assert.rejects(
+      client.waitForReceipt(tx, { signal: controller.signal }),
+      PolymerAbortError
+    );
+  });
+});